@@ -1,17 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const ragPipeline = require('../utils/rag');
-const newsFetcher = require('../utils/newsFetcher');
-const { v4: uuidv4 } = require('uuid');
-
-// In-memory sessions (replace with Redis later)
-const sessions = new Map();
-const createSession = () => {
-  const id = uuidv4();
-  sessions.set(id, { id, createdAt: new Date().toISOString(), messages: [] });
-  return id;
-};
-const getSession = (id) => (id ? sessions.get(id) : undefined);
+const { sourceRegistry } = require('../utils/sourceRegistry');
+const { sessionStore, sessionRoom } = require('../utils/sessionStore');
+const { ingestionQueue, ingestionScheduler } = require('../utils/ingestionQueue');
+const { normalizeFilters } = require('../utils/queryFilters');
+const { requireRole, claimSession } = require('../utils/auth');
+const { envNumber } = require('../utils/env');
+
+// Chat and session routes need a user key; ingestion and stats an admin key
+const requireUser = requireRole('user');
+const requireAdmin = requireRole('admin');
+const FOREIGN_SESSION = 'Session belongs to another API key';
+
+// Comment lines sent on idle event streams so proxies don't drop them
+const SSE_HEARTBEAT_MS = envNumber('SSE_HEARTBEAT_MS', 15000, { min: 1 });
+
+// Validate a chat request body. Returns { value: { message, sessionId, filters,
+// inferFilters } } or { error }.
+function parseChatRequest(body = {}) {
+  const { message, sessionId, inferFilters } = body;
+  if (!message || typeof message !== 'string') {
+    return { error: 'Message is required and must be a string' };
+  }
+  const { filters, error } = normalizeFilters(body.filters);
+  if (error) return { error };
+  if (inferFilters !== undefined && typeof inferFilters !== 'boolean') {
+    return { error: 'inferFilters must be a boolean' };
+  }
+  return { value: { message, sessionId, filters, inferFilters } };
+}
+
+// The request's session, or a new one owned by the caller if it has none or it
+// has expired. Returns null when the session belongs to another key.
+async function resolveSession(sessionId, principal) {
+  const session = await sessionStore.getSession(sessionId);
+  if (!session) return sessionStore.createSession({ ownerId: principal.id });
+  return claimSession(principal, session);
+}
+
+// Relay a change made over HTTP to the sockets open on the session (see the
+// connection handler in server.js), so other tabs stay in sync
+function notifySockets(req, sessionId, event, payload) {
+  const io = req.app.get('io');
+  if (io) io.to(sessionRoom(sessionId)).emit(event, payload);
+}
 
 // Simple health check endpoint
 router.get('/health', (req, res) => {
@@ -24,55 +57,75 @@ router.get('/health', (req, res) => {
 });
 
 // Create a new session
-router.post('/api/session', (req, res) => {
-  const sessionId = createSession();
-  return res.json({ sessionId });
+router.post('/api/session', requireUser, async (req, res) => {
+  try {
+    const session = await sessionStore.createSession({ ownerId: req.auth.id });
+    return res.json({ sessionId: session.id });
+  } catch (error) {
+    console.error('Error creating session:', error);
+    res.status(500).json({ error: 'Failed to create session', details: error.message });
+  }
 });
 
 // Get history for a session
-router.get('/api/history', (req, res) => {
-  const { sessionId } = req.query;
-  const session = getSession(sessionId);
-  if (!session) return res.status(400).json({ error: 'Invalid sessionId' });
-  return res.json({ sessionId, messages: session.messages });
+router.get('/api/history', requireUser, async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+    const session = await sessionStore.getSession(sessionId);
+    if (!session) return res.status(400).json({ error: 'Invalid sessionId' });
+    if (!(await claimSession(req.auth, session))) return res.status(403).json({ error: FOREIGN_SESSION });
+    return res.json({ sessionId, messages: session.messages });
+  } catch (error) {
+    console.error('Error loading history:', error);
+    res.status(500).json({ error: 'Failed to load history', details: error.message });
+  }
 });
 
 // Clear history for a session
-router.post('/api/clear', (req, res) => {
-  const { sessionId } = req.body || {};
-  const session = getSession(sessionId);
-  if (!session) return res.status(400).json({ error: 'Invalid sessionId' });
-  session.messages = [];
-  return res.json({ status: 'ok' });
+router.post('/api/clear', requireUser, async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const session = await sessionStore.getSession(sessionId);
+    if (session && !(await claimSession(req.auth, session))) return res.status(403).json({ error: FOREIGN_SESSION });
+    const cleared = session && await sessionStore.clearSession(sessionId);
+    if (!cleared) return res.status(400).json({ error: 'Invalid sessionId' });
+    notifySockets(req, sessionId, 'session_cleared', { sessionId });
+    return res.json({ status: 'ok' });
+  } catch (error) {
+    console.error('Error clearing session:', error);
+    res.status(500).json({ error: 'Failed to clear session', details: error.message });
+  }
 });
 
-// Chat endpoint
-router.post('/api/chat', async (req, res) => {
+// Chat endpoint. Optional `filters` ({ publishedAfter, publishedBefore,
+// sources, categories, language }) restrict which articles are retrieved;
+// `inferFilters: false` stops "yesterday"/"last week" becoming a date filter.
+router.post('/api/chat', requireUser, async (req, res) => {
   try {
-    const { message, sessionId } = req.body;
-    
-    if (!message || typeof message !== 'string') {
-      return res.status(400).json({ 
-        error: 'Message is required and must be a string' 
-      });
-    }
+    const { value, error } = parseChatRequest(req.body);
+    if (error) return res.status(400).json({ error });
+    const { message, filters, inferFilters } = value;
 
-    // Resolve session (create if not provided/invalid)
-    let sid = sessionId;
-    if (!sid || !getSession(sid)) sid = createSession();
-    const session = getSession(sid);
+    const session = await resolveSession(value.sessionId, req.auth);
+    if (!session) return res.status(403).json({ error: FOREIGN_SESSION });
+    const sid = session.id;
+    // Prior turns, used to resolve follow-up questions
+    const history = session.messages;
 
     // Persist user message
-    session.messages.push({ role: 'user', content: message, timestamp: new Date().toISOString() });
+    const userMessage = { role: 'user', content: message, timestamp: new Date().toISOString() };
+    await sessionStore.appendMessages(sid, userMessage);
+    notifySockets(req, sid, 'user_message', userMessage);
 
     console.log(`\n=== New Chat Request (session: ${sid}) ===`);
     console.log(`Query: ${message}`);
     
     // Process the query
-    const result = await ragPipeline.query(message);
+    const result = await ragPipeline.query(message, { history, filters, inferFilters });
     
     // Persist assistant message
-    session.messages.push({ role: 'assistant', content: result.answer, timestamp: new Date().toISOString() });
+    const updated = await sessionStore.appendMessages(sid, { role: 'assistant', content: result.answer, timestamp: new Date().toISOString() });
+    notifySockets(req, sid, 'receive_message', { role: 'assistant', content: result.answer });
 
     console.log('Response generated successfully');
     console.log('Answer length:', result.answer.length);
@@ -81,7 +134,18 @@ router.post('/api/chat', async (req, res) => {
       sessionId: sid,
       answer: result.answer,
       sources: result.sources || [],
-      history: session.messages
+      // [n] markers in the answer refer to sources[n - 1]
+      citations: result.citations || [],
+      invalidCitations: result.invalidCitations || [],
+      // 0..1 share of the answer the grounding check found support for
+      confidence: result.confidence ?? null,
+      grounding: result.grounding || null,
+      rewrittenQuery: result.rewrittenQuery || message,
+      filters: result.filters || filters,
+      // True when a date range inferred from the question matched no articles
+      // and was dropped; the answer opens by saying so
+      filterRelaxed: Boolean(result.filterRelaxed),
+      history: updated ? updated.messages : []
     });
     
   } catch (error) {
@@ -93,40 +157,142 @@ router.post('/api/chat', async (req, res) => {
   }
 });
 
-// Ingest latest news into the RAG pipeline
-router.post('/api/ingest', async (req, res) => {
+// Streaming chat over Server-Sent Events, for clients that can't use
+// Socket.IO. Takes the same body as POST /api/chat and emits:
+//   session   { sessionId }
+//   sources   { sources }                       retrieved articles, before generation
+//   token     { text }                          the next piece of the answer
+//   citations { citations, invalidCitations }   once the answer is complete
+//   done      { answer, rewrittenQuery, filters, filterRelaxed, confidence, grounding, timings, provider }
+// `answer` in `done` is final: the grounding check may have appended a note to
+// the text that was streamed.
+//   error     { error, details }
+// The question and answer are saved to the session together once the answer is
+// complete, so closing the connection (which aborts the generation) saves nothing.
+router.post('/api/chat/stream', requireUser, async (req, res) => {
+  const { value, error } = parseChatRequest(req.body);
+  if (error) return res.status(400).json({ error });
+  const { message, filters, inferFilters } = value;
+
+  const controller = new AbortController();
+  let finished = false;
+  res.on('close', () => {
+    if (!finished) controller.abort();
+  });
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  let heartbeat;
+
   try {
-    const limit = Number(req.body?.limit) || 30;
-    console.log(`\n=== Ingesting latest news (limit=${limit}) ===`);
-    await ragPipeline.initialize();
-    const articles = await newsFetcher.fetchNews(limit);
-    console.log(`Fetched ${articles.length} articles. Adding to pipeline...`);
+    const session = await resolveSession(value.sessionId, req.auth);
+    if (!session) return res.status(403).json({ error: FOREIGN_SESSION });
+    const sid = session.id;
+    const history = session.messages;
+    const userMessage = { role: 'user', content: message, timestamp: new Date().toISOString() };
+
+    console.log(`\n=== New Streaming Chat Request (session: ${sid}) ===`);
+    console.log(`Query: ${message}`);
 
-    if (!articles.length) {
-      return res.status(500).json({ error: 'No articles fetched from sources' });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': keep-alive\n\n');
+    }, SSE_HEARTBEAT_MS);
+    send('session', { sessionId: sid });
+
+    const result = await ragPipeline.queryStream(message, {
+      history,
+      filters,
+      inferFilters,
+      signal: controller.signal,
+      onSources: (sources) => send('sources', { sources }),
+      onChunk: (text) => send('token', { text })
+    });
+    if (result.aborted) {
+      console.log(`Client disconnected; stopped streaming for session ${sid}`);
+      return;
     }
 
-    const docs = articles.map(a => ({
-      text: a.text,
-      title: a.title,
-      url: a.url,
-      publishedAt: a.publishedAt
-    }));
-
-    await ragPipeline.addDocuments(docs);
-    const count = (ragPipeline.documents || []).length;
-    console.log(`Ingestion complete. Total documents in store: ${count}`);
-    res.json({ status: 'ok', ingested: docs.length, totalDocuments: count });
+    await sessionStore.appendMessages(sid, userMessage, { role: 'assistant', content: result.answer, timestamp: new Date().toISOString() });
+    notifySockets(req, sid, 'user_message', userMessage);
+    notifySockets(req, sid, 'receive_message', { role: 'assistant', content: result.answer });
+    send('citations', { citations: result.citations || [], invalidCitations: result.invalidCitations || [] });
+    send('done', {
+      sessionId: sid,
+      answer: result.answer,
+      rewrittenQuery: result.rewrittenQuery || message,
+      filters: result.filters || filters,
+      filterRelaxed: Boolean(result.filterRelaxed),
+      confidence: result.confidence ?? null,
+      grounding: result.grounding || null,
+      timings: result.timings || {},
+      provider: result._debug?.provider
+    });
   } catch (error) {
-    console.error('Error during ingestion:', error);
-    res.status(500).json({ error: 'Failed to ingest news', details: error.message });
+    console.error('Error in streaming chat endpoint:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to process your request', details: error.message });
+    }
+    send('error', { error: 'Failed to process your request', details: error.message });
+  } finally {
+    clearInterval(heartbeat);
+    finished = true;
+    if (!res.writableEnded) res.end();
   }
 });
 
+// Queue a background ingestion job; poll GET /api/ingest/:jobId for progress
+router.post('/api/ingest', requireAdmin, async (req, res) => {
+  try {
+    const limit = Number(req.body?.limit) || 30;
+    const { sources } = req.body || {};
+    if (sources !== undefined && (!Array.isArray(sources) || !sources.every(s => typeof s === 'string'))) {
+      return res.status(400).json({ error: 'sources must be an array of source names' });
+    }
+    await sourceRegistry.load();
+    const unknown = (sources || []).filter(name => !sourceRegistry.get(name));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown sources: ${unknown.join(', ')}` });
+    }
+
+    const job = ingestionQueue.enqueue({ limit, sources: sources && sources.length ? sources : null });
+    res.status(202).json({ status: 'queued', jobId: job.id, job });
+  } catch (error) {
+    console.error('Error queueing ingestion:', error);
+    res.status(500).json({ error: 'Failed to queue ingestion', details: error.message });
+  }
+});
+
+// Recent ingestion jobs (newest first) and the scheduler's next runs
+router.get('/api/ingest', requireAdmin, (req, res) => {
+  res.json({
+    jobs: ingestionQueue.listJobs().map(({ articles, ...job }) => job),
+    schedule: ingestionScheduler.getStatus()
+  });
+});
+
+// Progress, per-article results and totals for one ingestion job
+router.get('/api/ingest/:jobId', requireAdmin, (req, res) => {
+  const job = ingestionQueue.getJob(req.params.jobId);
+  if (!job) return res.status(404).json({ error: 'Unknown jobId' });
+  res.json(job);
+});
+
 // Stats endpoint: how many documents are loaded
-router.get('/api/stats', (req, res) => {
-  const count = (ragPipeline.documents || []).length;
-  res.json({ documents: count });
+router.get('/api/stats', requireAdmin, async (req, res) => {
+  try {
+    await ragPipeline.initialize();
+    res.json(ragPipeline.getStats());
+  } catch (error) {
+    console.error('Error loading stats:', error);
+    res.status(500).json({ error: 'Failed to load stats', details: error.message });
+  }
 });
 
 // Health check endpoint
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { sourceRegistry } = require('../utils/sourceRegistry');
+const { ingestionScheduler } = require('../utils/ingestionQueue');
+const { requireRole } = require('../utils/auth');
+
+// Source management is for admin keys only
+router.use('/api/sources', requireRole('admin'));
+
+// List configured news sources with their fetch health
+router.get('/api/sources', async (req, res) => {
+  try {
+    await sourceRegistry.load();
+    res.json({ sources: sourceRegistry.list() });
+  } catch (error) {
+    console.error('Error listing sources:', error);
+    res.status(500).json({ error: 'Failed to list sources', details: error.message });
+  }
+});
+
+// Add a source: { name, url, type, categories, language, domains, enabled, fetchInterval }
+router.post('/api/sources', async (req, res) => {
+  try {
+    const source = await sourceRegistry.add(req.body);
+    ingestionScheduler.refresh();
+    res.status(201).json({ ...source, health: sourceRegistry.getHealth(source.name) });
+  } catch (error) {
+    if (error.code === 'INVALID_SOURCE') return res.status(400).json({ error: error.message });
+    if (error.code === 'SOURCE_EXISTS') return res.status(409).json({ error: error.message });
+    console.error('Error adding source:', error);
+    res.status(500).json({ error: 'Failed to add source', details: error.message });
+  }
+});
+
+// Remove a source by name (URL-encoded, e.g. /api/sources/BBC%20News)
+router.delete('/api/sources/:name', async (req, res) => {
+  try {
+    const removed = await sourceRegistry.remove(req.params.name);
+    if (!removed) return res.status(404).json({ error: 'Unknown source' });
+    ingestionScheduler.refresh();
+    res.json({ status: 'ok' });
+  } catch (error) {
+    console.error('Error removing source:', error);
+    res.status(500).json({ error: 'Failed to remove source', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline evaluation of retrieval and answers against a golden question set.
+// Usage: npm run eval [-- --dataset path] [--k 5] [--out path] [--baseline path]
+//
+// The dataset's articles are indexed into a throwaway local store with the
+// offline embedder and answered by the extractive generator, with recency and
+// time-filter inference off, so the same code and data always give the same
+// report. Ranking settings (RERANKER, RAG_MMR, RAG_RRF_K, ...) are still read
+// from the environment, which is how two configurations are compared.
+const DEFAULT_DATASET = path.join(__dirname, '../../data/eval/golden_questions.json');
+const DEFAULT_REPORT = path.join(__dirname, '../../data/eval/report.json');
+const BACKEND_DIR = path.join(__dirname, '../..');
+
+// Must be in place before the pipeline modules read their configuration
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-eval-'));
+Object.assign(process.env, {
+  VECTOR_STORE: 'local',
+  EMBEDDING_PROVIDER: 'local',
+  LLM_PROVIDER: 'extractive',
+  LLM_FALLBACK_PROVIDERS: '',
+  LOCAL_VECTOR_STORE_PATH: path.join(workDir, 'vector_store.json'),
+  CORPUS_SNAPSHOT_PATH: path.join(workDir, 'corpus.json')
+});
+
+const ragPipeline = require('../utils/rag');
+const { importArticlesFromFile } = require('../utils/articleLoader');
+const { canonicalizeUrl } = require('../utils/dedupe');
+
+function parseArgs(argv) {
+  const value = name => {
+    const index = argv.indexOf(name);
+    if (index === -1) return undefined;
+    if (!argv[index + 1]) throw new Error(`${name} requires a value`);
+    return argv[index + 1];
+  };
+  const k = Number(value('--k') || 5);
+  if (!Number.isInteger(k) || k < 1) throw new Error('--k must be a positive integer');
+  return {
+    dataset: path.resolve(value('--dataset') || DEFAULT_DATASET),
+    out: path.resolve(value('--out') || DEFAULT_REPORT),
+    baseline: value('--baseline') && path.resolve(value('--baseline')),
+    k
+  };
+}
+
+// Validate the dataset file: { articles, questions: [{ id, question, relevant:
+// [url | { url, grade }], answerContains: [phrase] }] }. `articles` is resolved
+// against the dataset's directory.
+function loadDataset(file) {
+  const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (typeof dataset.articles !== 'string') throw new Error(`${file}: "articles" must be a path`);
+  if (!Array.isArray(dataset.questions) || !dataset.questions.length) throw new Error(`${file}: "questions" must be a non-empty array`);
+
+  const ids = new Set();
+  const questions = dataset.questions.map((entry, i) => {
+    const label = `${file}: question #${i}`;
+    if (!entry.id || ids.has(entry.id)) throw new Error(`${label}: missing or duplicate id`);
+    ids.add(entry.id);
+    if (typeof entry.question !== 'string' || !entry.question.trim()) throw new Error(`${label}: question is required`);
+    const relevant = new Map();
+    for (const item of entry.relevant || []) {
+      const { url, grade = 1 } = typeof item === 'string' ? { url: item } : item;
+      if (typeof url !== 'string' || !(grade > 0)) throw new Error(`${label}: relevant entries need a url and a positive grade`);
+      relevant.set(canonicalizeUrl(url), grade);
+    }
+    if (!relevant.size) throw new Error(`${label}: at least one relevant article is required`);
+    return { id: entry.id, question: entry.question.trim(), relevant, answerContains: entry.answerContains || [] };
+  });
+  return { articles: path.resolve(path.dirname(file), dataset.articles), questions };
+}
+
+// Canonical URLs a retrieved source stands for: itself and, since near-duplicates
+// are collapsed into one result, the other articles of its story
+function coveredUrls(doc) {
+  const urls = [doc.metadata?.url, doc.metadata?.canonicalUrl, ...(doc.alsoReportedBy || []).map(a => a.url)];
+  return new Set(urls.filter(Boolean).map(canonicalizeUrl));
+}
+
+// recall@k, reciprocal rank and nDCG@k (gain 2^grade - 1) for one question.
+// `retrieved` holds a Set of covered URLs per rank.
+function rankingMetrics(retrieved, relevant, k) {
+  const foundAt = new Map(); // url -> 1-based rank
+  let dcg = 0;
+  retrieved.slice(0, k).forEach((urls, i) => {
+    let grade = 0;
+    for (const url of urls) {
+      if (!relevant.has(url) || foundAt.has(url)) continue;
+      foundAt.set(url, i + 1);
+      grade = Math.max(grade, relevant.get(url));
+    }
+    dcg += (2 ** grade - 1) / Math.log2(i + 2);
+  });
+  const idcg = [...relevant.values()]
+    .sort((a, b) => b - a)
+    .slice(0, k)
+    .reduce((sum, grade, i) => sum + (2 ** grade - 1) / Math.log2(i + 2), 0);
+  const ranks = [...foundAt.values()];
+  return {
+    recallAtK: foundAt.size / relevant.size,
+    reciprocalRank: ranks.length ? 1 / Math.min(...ranks) : 0,
+    ndcgAtK: idcg ? dcg / idcg : 0,
+    foundAt
+  };
+}
+
+// Share of the expected phrases found in the answer (case-insensitive); 1 when none are expected
+function answerContains(answer, phrases) {
+  if (!phrases.length) return 1;
+  const text = (answer || '').toLowerCase();
+  return phrases.filter(phrase => text.includes(phrase.toLowerCase())).length / phrases.length;
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+const mean = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+async function evaluateQuestion(entry, k) {
+  const result = await ragPipeline.query(entry.question, { k, recencyWeight: 0, inferFilters: false });
+  const sources = result.sources || [];
+  const ranking = rankingMetrics(sources.map(coveredUrls), entry.relevant, k);
+  return {
+    id: entry.id,
+    question: entry.question,
+    metrics: {
+      recallAtK: round(ranking.recallAtK),
+      reciprocalRank: round(ranking.reciprocalRank),
+      ndcgAtK: round(ranking.ndcgAtK),
+      answerContains: round(answerContains(result.answer, entry.answerContains))
+    },
+    retrieved: sources.map((doc, i) => ({ rank: i + 1, title: doc.metadata?.title || '', url: doc.metadata?.url || '' })),
+    missing: [...entry.relevant.keys()].filter(url => !ranking.foundAt.has(url)),
+    answer: result.answer
+  };
+}
+
+function summarize(questions) {
+  const metric = name => round(mean(questions.map(q => q.metrics[name])));
+  return {
+    questions: questions.length,
+    recallAtK: metric('recallAtK'),
+    mrr: metric('reciprocalRank'),
+    ndcgAtK: metric('ndcgAtK'),
+    answerContains: metric('answerContains'),
+    answerPassRate: round(mean(questions.map(q => (q.metrics.answerContains === 1 ? 1 : 0))))
+  };
+}
+
+// Print how the summary and per-question metrics moved since a previous report
+function printComparison(report, baseline) {
+  console.log(`\nChange since ${path.relative(process.cwd(), baseline.file)}:`);
+  for (const [name, value] of Object.entries(report.summary)) {
+    const before = baseline.report.summary?.[name];
+    if (typeof before !== 'number' || name === 'questions') continue;
+    const delta = round(value - before);
+    console.log(`  ${name.padEnd(16)} ${before} -> ${value} (${delta >= 0 ? '+' : ''}${delta})`);
+  }
+  const previous = new Map((baseline.report.questions || []).map(q => [q.id, q.metrics]));
+  for (const question of report.questions) {
+    const before = previous.get(question.id);
+    if (!before) continue;
+    const changed = Object.keys(question.metrics).filter(name => before[name] !== question.metrics[name]);
+    if (changed.length) {
+      console.log(`  ${question.id}: ${changed.map(name => `${name} ${before[name]} -> ${question.metrics[name]}`).join(', ')}`);
+    }
+  }
+}
+
+async function evaluate() {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const dataset = loadDataset(options.dataset);
+    const baseline = options.baseline
+      ? { file: options.baseline, report: JSON.parse(fs.readFileSync(options.baseline, 'utf8')) }
+      : null;
+    console.log(`=== Evaluating ${dataset.questions.length} questions from ${options.dataset} ===`);
+
+    console.log(`\n1. Indexing ${dataset.articles}...`);
+    await ragPipeline.initialize();
+    const imported = await importArticlesFromFile(ragPipeline, dataset.articles);
+    console.log(`✓ Indexed ${imported.imported} of ${imported.total} articles`);
+
+    console.log(`\n2. Running questions (k = ${options.k})...`);
+    const questions = [];
+    for (const entry of dataset.questions) {
+      const result = await evaluateQuestion(entry, options.k);
+      questions.push(result);
+      const m = result.metrics;
+      console.log(`  ${result.id}: recall ${m.recallAtK}, RR ${m.reciprocalRank}, nDCG ${m.ndcgAtK}, answer ${m.answerContains}`);
+    }
+
+    const report = {
+      dataset: path.relative(BACKEND_DIR, options.dataset),
+      config: {
+        k: options.k,
+        embedding: ragPipeline.embedder.name,
+        generator: ragPipeline.generator.primary,
+        reranker: ragPipeline.reranker ? ragPipeline.reranker.name : 'none',
+        groundingCheck: ragPipeline.groundingChecker ? ragPipeline.groundingChecker.name : 'none',
+        mmr: process.env.RAG_MMR === 'true'
+      },
+      summary: summarize(questions),
+      questions
+    };
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, `${JSON.stringify(report, null, 2)}\n`);
+
+    console.log('\n=== Summary ===');
+    for (const [name, value] of Object.entries(report.summary)) console.log(`  ${name.padEnd(16)} ${value}`);
+    if (baseline) printComparison(report, baseline);
+    console.log(`\nReport written to ${options.out}`);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ Evaluation failed:', error.message);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    process.exit(1);
+  }
+}
+
+evaluate();
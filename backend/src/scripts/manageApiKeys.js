@@ -0,0 +1,60 @@
+require('dotenv').config();
+const { apiKeyStore, normalizeKeyOptions } = require('../utils/apiKeys');
+
+// Create, list and revoke API keys in the configured store (Redis when
+// REDIS_URL is set, otherwise API_KEYS_PATH).
+// Usage: npm run keys -- create --name <name> [--role user|admin]
+//        npm run keys -- list
+//        npm run keys -- revoke <id>
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const value = name => {
+    const index = rest.indexOf(name);
+    if (index === -1) return undefined;
+    if (!rest[index + 1]) throw new Error(`${name} requires a value`);
+    return rest[index + 1];
+  };
+  switch (command) {
+    case 'create': {
+      const { value: options, error } = normalizeKeyOptions({ name: value('--name'), role: value('--role') });
+      if (error) throw new Error(error);
+      return { command, options };
+    }
+    case 'list':
+      return { command };
+    case 'revoke':
+      if (!rest[0]) throw new Error('revoke requires a key id (see `list`)');
+      return { command, id: rest[0] };
+    default:
+      throw new Error('Usage: npm run keys -- create --name <name> [--role user|admin] | list | revoke <id>');
+  }
+}
+
+async function manageApiKeys() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.command === 'create') {
+      const { key, record } = await apiKeyStore.create(args.options);
+      console.log(`✓ Created ${record.role} key '${record.name}' (id ${record.id})`);
+      console.log(`\n  ${key}\n`);
+      console.log('Store it now: only its hash is kept, so it cannot be shown again.');
+    } else if (args.command === 'list') {
+      const records = await apiKeyStore.list();
+      if (!records.length) console.log('No API keys yet; create one with `npm run keys -- create --name <name>`');
+      for (const record of records) {
+        const status = record.revokedAt ? `revoked ${record.revokedAt}` : 'active';
+        console.log(`${record.id}  ${record.role.padEnd(5)}  ${record.name}  (created ${record.createdAt}, ${status})`);
+      }
+    } else {
+      if (!(await apiKeyStore.revoke(args.id))) throw new Error(`No active key with id ${args.id}`);
+      console.log(`✓ Revoked key ${args.id}`);
+    }
+    await apiKeyStore.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n❌ API key command failed:', error.message);
+    process.exit(1);
+  }
+}
+
+manageApiKeys();
@@ -1,48 +1,24 @@
 require('dotenv').config();
+const path = require('path');
 const ragPipeline = require('../utils/rag');
+const { importArticlesFromFile, BUNDLED_ARTICLES_PATH } = require('../utils/articleLoader');
 
-// Mock news articles for testing
-const mockArticles = [
-  {
-    title: 'AI Breakthrough in Natural Language Understanding',
-    text: 'Researchers have made a significant breakthrough in AI that allows machines to better understand and generate human-like text. The new model shows improved performance on various language tasks.',
-    url: 'https://example.com/ai-breakthrough',
-    publishedAt: new Date().toISOString(),
-    source: 'mock'
-  },
-  {
-    title: 'Global Tech Conference Announces New Innovations',
-    text: 'The annual tech conference unveiled several groundbreaking technologies, including advancements in quantum computing and renewable energy solutions.',
-    url: 'https://example.com/tech-conference',
-    publishedAt: new Date().toISOString(),
-    source: 'mock'
-  },
-  {
-    title: 'New Study Shows Benefits of Remote Work',
-    text: 'A comprehensive study reveals that remote work has led to increased productivity and job satisfaction for many employees, though challenges in team collaboration remain.',
-    url: 'https://example.com/remote-work-study',
-    publishedAt: new Date().toISOString(),
-    source: 'mock'
-  },
-  {
-    title: 'Tech Giant Launches New Smartphone with Advanced Features',
-    text: 'The latest smartphone from a leading tech company features an improved camera system, longer battery life, and enhanced security features.',
-    url: 'https://example.com/new-smartphone',
-    publishedAt: new Date().toISOString(),
-    source: 'mock'
-  },
-  {
-    title: 'Cybersecurity Threats on the Rise in 2025',
-    text: 'A new report highlights the increasing sophistication of cyber attacks and the need for stronger security measures across all industries.',
-    url: 'https://example.com/cybersecurity-report',
-    publishedAt: new Date().toISOString(),
-    source: 'mock'
+// Usage: npm run seed [-- --file path/to/articles.json|.jsonl]
+// Defaults to the bundled data/news_articles.json snapshot.
+function parseArgs(argv) {
+  const fileIndex = argv.indexOf('--file');
+  if (fileIndex !== -1 && !argv[fileIndex + 1]) {
+    throw new Error('--file requires a path');
   }
-];
+  return {
+    file: fileIndex !== -1 ? path.resolve(argv[fileIndex + 1]) : BUNDLED_ARTICLES_PATH
+  };
+}
 
 async function seedDatabase() {
   try {
-    console.log('=== Starting database seeding with mock data ===');
+    const { file } = parseArgs(process.argv.slice(2));
+    console.log(`=== Starting database seeding from ${file} ===`);
     
     try {
       // Initialize RAG pipeline
@@ -55,10 +31,11 @@ async function seedDatabase() {
     }
     
     try {
-      // Add mock articles to the pipeline
-      console.log('\n2. Adding mock articles to the pipeline...');
-      await ragPipeline.addDocuments(mockArticles);
-      console.log('✓ Added 5 mock articles to the pipeline');
+      // Import the article dump into the pipeline
+      console.log('\n2. Importing articles into the pipeline...');
+      const report = await importArticlesFromFile(ragPipeline, file);
+      console.log(`✓ Imported ${report.imported} of ${report.total} articles ` +
+        `(${report.duplicates} duplicates, ${report.skipped.length} skipped)`);
     } catch (addDocsError) {
       console.error('❌ Failed to add documents to pipeline:', addDocsError);
       throw addDocsError;
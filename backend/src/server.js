@@ -5,6 +5,12 @@ const { Server } = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const ragPipeline = require('./utils/rag');
+const { sessionStore, sessionRoom } = require('./utils/sessionStore');
+const { importArticlesFromFile, BUNDLED_ARTICLES_PATH } = require('./utils/articleLoader');
+const { ingestionScheduler, INGEST_SCHEDULER_ENABLED } = require('./utils/ingestionQueue');
+const { normalizeFilters } = require('./utils/queryFilters');
+const { authenticateSocket, claimSession } = require('./utils/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -12,14 +18,16 @@ const server = http.createServer(app);
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(express.json());
 
 // API Routes
 const chatRoutes = require('./routes/chat');
+const sourceRoutes = require('./routes/sources');
 app.use('/', chatRoutes);
+app.use('/', sourceRoutes);
 
 // Serve static files from the React app in production
 if (process.env.NODE_ENV === 'production') {
@@ -38,68 +46,179 @@ const io = new Server(server, {
     methods: ['GET', 'POST']
   }
 });
+// Lets the REST routes notify a session's sockets
+app.set('io', io);
+// Connections need a user or admin API key, as on POST /api/chat
+io.use(authenticateSocket);
 
-// In-memory session storage (will be replaced with Redis)
-const sessions = new Map();
+// Answers being generated, per session id: Set of AbortControllers. They are
+// aborted once the last socket on the session has disconnected.
+const activeAnswers = new Map();
 
-// Generate a new session ID
-const generateSessionId = () => uuidv4();
-
-// WebSocket connection handler
+// WebSocket connection handler. A client resumes a conversation by passing its
+// session id in the handshake (`io(url, { auth: { sessionId } })`, or
+// `?sessionId=` for clients that can't set auth); unknown or expired ids, and
+// sessions owned by another API key, get a new session. Each socket joins its
+// session's room, so every tab open on a session receives its new messages and
+// `session_cleared`.
 io.on('connection', (socket) => {
   console.log('New client connected');
-  
-  // Initialize a new session
-  const sessionId = generateSessionId();
-  sessions.set(sessionId, {
-    messages: [],
-    createdAt: new Date()
+
+  // Bind the socket to a session (resuming it when it still exists) and send
+  // session_init { sessionId, resumed, messages } with the history so far.
+  // Resolves to the session id, or null if no session could be set up.
+  const joinSession = async (requestedId) => {
+    try {
+      const found = typeof requestedId === 'string' && requestedId
+        ? await sessionStore.getSession(requestedId)
+        : null;
+      const existing = found && await claimSession(socket.data.auth, found);
+      const session = existing || await sessionStore.createSession({ ownerId: socket.data.auth.id });
+      if (socket.data.sessionId) socket.leave(sessionRoom(socket.data.sessionId));
+      socket.data.sessionId = session.id;
+      socket.join(sessionRoom(session.id));
+      socket.emit('session_init', { sessionId: session.id, resumed: Boolean(existing), messages: session.messages });
+      return session.id;
+    } catch (error) {
+      console.error('Error creating socket session:', error);
+      socket.emit('error', { message: 'Failed to create session' });
+      return null;
+    }
+  };
+
+  // Handlers wait on this, so messages sent right after connecting aren't lost
+  let joined = joinSession(socket.handshake.auth?.sessionId || socket.handshake.query?.sessionId);
+
+  // The socket's session, or null (after telling the client) when it has none
+  // or the event names a different one
+  const boundSession = async (requestedId) => {
+    const sessionId = await joined;
+    if (!sessionId) {
+      socket.emit('error', { message: 'Invalid session' });
+      return null;
+    }
+    if (requestedId && requestedId !== sessionId) {
+      socket.emit('error', { message: 'Socket is not joined to that session; send join_session first' });
+      return null;
+    }
+    return sessionId;
+  };
+
+  // Switch to another session without reconnecting
+  socket.on('join_session', (data) => {
+    const { sessionId } = data || {};
+    joined = joinSession(sessionId);
   });
-  
-  // Send the session ID to the client
-  socket.emit('session_init', { sessionId });
 
-  // Handle incoming messages
+  // Handle incoming messages: run the RAG pipeline and stream the answer back.
+  // The question is relayed to the session's other sockets as user_message
+  // { messageId, role, content, timestamp }; then every socket on the session
+  // gets, per message (all carry the same messageId):
+  //   answer_sources -> retrieved articles, sent before generation starts
+  //   answer_chunk   -> incremental pieces of the answer text
+  //   answer_done    -> the complete answer once generation has finished, with
+  //                     invalid citation markers removed, `citations` attached and
+  //                     the grounding check's `confidence` (it may append a
+  //                     note to the streamed text, but never replaces it)
+  // Errors go to the sending socket only. The question and answer are saved to
+  // the session together once the answer is complete; if every socket on the
+  // session disconnects first, generation stops and nothing is saved.
+  // `filters`, `inferFilters` and `filterRelaxed` work as on POST /api/chat.
   socket.on('send_message', async (data) => {
-    const { sessionId, message } = data;
-    const session = sessions.get(sessionId);
-    
-    if (!session) {
-      socket.emit('error', { message: 'Invalid session' });
+    const { message, inferFilters } = data || {};
+    if (!message || typeof message !== 'string') {
+      socket.emit('error', { message: 'Message is required and must be a string' });
+      return;
+    }
+    const { filters, error: filterError } = normalizeFilters(data.filters);
+    if (filterError) {
+      socket.emit('error', { message: filterError });
       return;
     }
 
-    // Add user message to session
-    session.messages.push({ role: 'user', content: message });
-    
-    // TODO: Implement RAG pipeline here
-    // For now, just echo the message
-    const botResponse = `I received your message: "${message}". This will be replaced with RAG response.`;
-    
-    // Add bot response to session
-    session.messages.push({ role: 'assistant', content: botResponse });
-    
-    // Send response back to client
-    socket.emit('receive_message', { 
-      role: 'assistant', 
-      content: botResponse 
-    });
-  });
+    try {
+      const sessionId = await boundSession(data.sessionId);
+      if (!sessionId) return;
+      const room = io.to(sessionRoom(sessionId));
+
+      const session = await sessionStore.getSession(sessionId);
+      if (!session) {
+        socket.emit('error', { message: 'Invalid session' });
+        return;
+      }
+      const userMessage = { role: 'user', content: message, timestamp: new Date().toISOString() };
+
+      const messageId = uuidv4();
+      socket.to(sessionRoom(sessionId)).emit('user_message', { messageId, ...userMessage });
+      const controller = new AbortController();
+      if (!activeAnswers.has(sessionId)) activeAnswers.set(sessionId, new Set());
+      activeAnswers.get(sessionId).add(controller);
+      let result;
+      try {
+        result = await ragPipeline.queryStream(message, {
+          history: session.messages,
+          filters,
+          inferFilters: typeof inferFilters === 'boolean' ? inferFilters : undefined,
+          signal: controller.signal,
+          onSources: (sources) => room.emit('answer_sources', { messageId, sources }),
+          onChunk: (chunk) => room.emit('answer_chunk', { messageId, chunk })
+        });
+      } finally {
+        activeAnswers.get(sessionId).delete(controller);
+        if (!activeAnswers.get(sessionId).size) activeAnswers.delete(sessionId);
+      }
+      if (result.aborted) {
+        console.log(`All clients left; stopped answering for session ${sessionId}`);
+        return;
+      }
 
-  // Handle session clearing
-  socket.on('clear_session', ({ sessionId }) => {
-    if (sessions.has(sessionId)) {
-      sessions.set(sessionId, {
-        messages: [],
-        createdAt: new Date()
+      await sessionStore.appendMessages(sessionId, userMessage, { role: 'assistant', content: result.answer, timestamp: new Date().toISOString() });
+      
+      room.emit('answer_done', {
+        messageId,
+        answer: result.answer,
+        sources: result.sources || [],
+        citations: result.citations || [],
+        invalidCitations: result.invalidCitations || [],
+        confidence: result.confidence ?? null,
+        grounding: result.grounding || null,
+        rewrittenQuery: result.rewrittenQuery || message,
+        filters: result.filters || filters,
+        filterRelaxed: Boolean(result.filterRelaxed)
       });
-      socket.emit('session_cleared');
+
+      // Full message for clients that don't handle streaming
+      room.emit('receive_message', { 
+        role: 'assistant', 
+        content: result.answer 
+      });
+    } catch (error) {
+      console.error('Error handling socket message:', error);
+      socket.emit('error', { message: 'Failed to process your request' });
+    }
+  });
+
+  // Handle session clearing; every socket on the session gets session_cleared { sessionId }
+  socket.on('clear_session', async (data) => {
+    try {
+      const sessionId = await boundSession((data || {}).sessionId);
+      if (sessionId && await sessionStore.clearSession(sessionId)) {
+        io.to(sessionRoom(sessionId)).emit('session_cleared', { sessionId });
+      }
+    } catch (error) {
+      console.error('Error clearing socket session:', error);
+      socket.emit('error', { message: 'Failed to clear session' });
     }
   });
 
   // Handle disconnection
   socket.on('disconnect', () => {
     console.log('Client disconnected');
+    // The socket has already left its room; stop generating if nobody else is in it
+    const { sessionId } = socket.data;
+    if (sessionId && !io.sockets.adapter.rooms.get(sessionRoom(sessionId))?.size) {
+      for (const controller of activeAnswers.get(sessionId) || []) controller.abort();
+    }
   });
 });
 
@@ -108,10 +227,29 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date() });
 });
 
+// Load the persisted corpus. With SEED_ON_START=true (or a path to a JSON/JSONL
+// dump) an empty store is seeded from the bundled snapshot (or that file).
+async function bootstrapCorpus() {
+  await ragPipeline.initialize();
+  const seedOnStart = process.env.SEED_ON_START;
+  if (!seedOnStart || seedOnStart === 'false' || ragPipeline.getStats().documents > 0) return;
+  const file = seedOnStart === 'true' ? BUNDLED_ARTICLES_PATH : path.resolve(seedOnStart);
+  console.log(`Document store is empty; seeding from ${file}`);
+  await importArticlesFromFile(ragPipeline, file);
+}
+
 // Start the server
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+  // Restore the persisted corpus in the background so the first request doesn't wait
+  bootstrapCorpus()
+    .catch(error => console.error('Failed to initialize RAG pipeline:', error))
+    .then(() => {
+      // Periodic background ingestion (INGEST_SCHEDULER_ENABLED=true)
+      if (!INGEST_SCHEDULER_ENABLED) return;
+      ingestionScheduler.start().catch(error => console.error('Failed to start ingestion scheduler:', error));
+    });
 });
 
 module.exports = { app, server };
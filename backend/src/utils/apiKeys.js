@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createClient } = require('redis');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// API keys are stored only as SHA-256 hashes: in a Redis hash when REDIS_URL
+// is configured, otherwise in a JSON file. Keys are created and revoked with
+// `npm run keys`; the plaintext is shown once, at creation.
+const REDIS_URL = process.env.REDIS_URL;
+const API_KEYS_PATH = process.env.API_KEYS_PATH ||
+  path.join(__dirname, '../../data/auth/api_keys.json');
+const API_KEYS_REDIS_KEY = process.env.API_KEYS_REDIS_KEY || 'apikeys';
+
+// 'admin' keys can do everything 'user' keys can
+const ROLES = ['user', 'admin'];
+const KEY_PREFIX = 'nrk_';
+
+// Both stores share the same async interface:
+//   create({ name, role })  -> { key, record }; `key` is the only copy of the plaintext
+//   findByKey(key)          -> record or null when unknown/revoked
+//   list()                  -> records, oldest first
+//   revoke(id)              -> true if an active key was revoked
+// where record = { id, name, role, createdAt, revokedAt }.
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Validate the options for a new key. Returns { value: { name, role } } or { error }.
+function normalizeKeyOptions({ name, role = 'user' } = {}) {
+  if (typeof name !== 'string' || !name.trim()) return { error: 'name is required' };
+  if (!ROLES.includes(role)) return { error: `role must be one of: ${ROLES.join(', ')}` };
+  return { value: { name: name.trim(), role } };
+}
+
+function newKey({ name, role }) {
+  const { value, error } = normalizeKeyOptions({ name, role });
+  if (error) throw new Error(error);
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = { id: crypto.randomUUID(), ...value, createdAt: new Date().toISOString(), revokedAt: null };
+  return { key, hash: hashKey(key), record };
+}
+
+// JSON file of { keys: { <hash>: record } }. The file is re-read whenever it
+// changes on disk, so keys added by `npm run keys` work without a restart.
+class FileApiKeyStore {
+  constructor({ filePath = API_KEYS_PATH } = {}) {
+    this.filePath = filePath;
+    this.keys = {};
+    this.loadedMtime = null;
+  }
+
+  async load() {
+    let mtime = 0;
+    try {
+      mtime = (await fs.stat(this.filePath)).mtimeMs;
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    if (mtime !== this.loadedMtime) {
+      this.keys = (await readJsonFile(this.filePath, { keys: {} })).keys || {};
+      this.loadedMtime = mtime;
+    }
+    return this.keys;
+  }
+
+  async save() {
+    await writeJsonFile(this.filePath, { keys: this.keys });
+    this.loadedMtime = (await fs.stat(this.filePath)).mtimeMs;
+  }
+
+  async create(options) {
+    const { key, hash, record } = newKey(options);
+    await this.load();
+    this.keys[hash] = record;
+    await this.save();
+    return { key, record };
+  }
+
+  async findByKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const record = (await this.load())[hashKey(key)];
+    return record && !record.revokedAt ? record : null;
+  }
+
+  async list() {
+    return Object.values(await this.load()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async revoke(id) {
+    const record = Object.values(await this.load()).find(r => r.id === id);
+    if (!record || record.revokedAt) return false;
+    record.revokedAt = new Date().toISOString();
+    await this.save();
+    return true;
+  }
+
+  async close() {}
+}
+
+// One Redis hash (`API_KEYS_REDIS_KEY`) mapping key hash -> JSON record
+class RedisApiKeyStore {
+  constructor({ url = REDIS_URL, key = API_KEYS_REDIS_KEY } = {}) {
+    this.key = key;
+    this.client = createClient({ url });
+    this.client.on('error', (err) => console.error('Redis API key store error:', err.message));
+    this.connecting = null;
+  }
+
+  async connect() {
+    if (this.client.isOpen) return this.client;
+    if (!this.connecting) {
+      this.connecting = this.client.connect().finally(() => { this.connecting = null; });
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  async create(options) {
+    const { key, hash, record } = newKey(options);
+    const client = await this.connect();
+    await client.hSet(this.key, hash, JSON.stringify(record));
+    return { key, record };
+  }
+
+  async findByKey(key) {
+    if (typeof key !== 'string' || !key) return null;
+    const client = await this.connect();
+    const raw = await client.hGet(this.key, hashKey(key));
+    const record = raw ? JSON.parse(raw) : null;
+    return record && !record.revokedAt ? record : null;
+  }
+
+  async entries() {
+    const client = await this.connect();
+    return Object.entries(await client.hGetAll(this.key)).map(([hash, raw]) => ({ hash, record: JSON.parse(raw) }));
+  }
+
+  async list() {
+    return (await this.entries()).map(e => e.record).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async revoke(id) {
+    const entry = (await this.entries()).find(e => e.record.id === id);
+    if (!entry || entry.record.revokedAt) return false;
+    entry.record.revokedAt = new Date().toISOString();
+    const client = await this.connect();
+    await client.hSet(this.key, entry.hash, JSON.stringify(entry.record));
+    return true;
+  }
+
+  async close() {
+    if (this.client.isOpen) await this.client.quit();
+  }
+}
+
+// Redis when REDIS_URL is configured, otherwise the JSON file
+function createApiKeyStore(options = {}) {
+  if (options.url || REDIS_URL) return new RedisApiKeyStore(options);
+  return new FileApiKeyStore(options);
+}
+
+module.exports = {
+  apiKeyStore: createApiKeyStore(),
+  createApiKeyStore,
+  FileApiKeyStore,
+  RedisApiKeyStore,
+  normalizeKeyOptions,
+  hashKey,
+  ROLES
+};
@@ -0,0 +1,142 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { SOURCE_TYPES: FEED_TYPES } = require('./sourceRegistry');
+const { toISODate } = require('./dates');
+
+// Snapshot of real articles shipped with the repo
+const BUNDLED_ARTICLES_PATH = path.join(__dirname, '../../data/news_articles.json');
+
+// Parse a dump of articles: a JSON array, an object with an `articles` array,
+// or JSON Lines (one article per line). Returns [{ record, position }] where
+// position is the array index or line number, plus any lines that failed to parse.
+function parseArticleDump(raw, filePath = '') {
+  const trimmed = raw.trim();
+  if (!trimmed) return { entries: [], errors: [] };
+
+  const isJsonl = filePath.endsWith('.jsonl') || filePath.endsWith('.ndjson');
+  if (!isJsonl) {
+    try {
+      const data = JSON.parse(trimmed);
+      const records = Array.isArray(data) ? data : data.articles;
+      if (!Array.isArray(records)) throw new Error('expected an array of articles or { "articles": [...] }');
+      return { entries: records.map((record, i) => ({ record, position: i })), errors: [] };
+    } catch (e) {
+      // A single JSON document that fails to parse may still be JSON Lines
+      if (trimmed.startsWith('[')) throw new Error(`Invalid JSON in ${filePath || 'article dump'}: ${e.message}`);
+    }
+  }
+
+  const entries = [];
+  const errors = [];
+  raw.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      entries.push({ record: JSON.parse(line), position: i + 1 });
+    } catch (e) {
+      errors.push({ position: i + 1, reason: `invalid JSON: ${e.message}` });
+    }
+  });
+  return { entries, errors };
+}
+
+// RFC-822 ("Tue, 16 Sep 2025 15:42:06 GMT"), ISO 8601 and epoch seconds or
+// millis all parse (see dates.js)
+function normalizeDate(value) {
+  if (value === undefined || value === null || value === '') return { value: undefined };
+  const iso = toISODate(value);
+  if (!iso) return { error: `invalid publishedAt '${value}'` };
+  return { value: iso };
+}
+
+// Validate one raw record and map it to the shape addDocuments expects.
+// Returns { article } or { error } describing why it was skipped.
+function normalizeArticle(record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'not an object' };
+  }
+
+  const text = typeof record.text === 'string' ? record.text.trim() : '';
+  if (!text) return { error: 'missing text' };
+
+  const url = typeof record.url === 'string' ? record.url.trim() : '';
+  if (url && !/^https?:\/\//i.test(url)) return { error: `invalid url '${url}'` };
+
+  const publishedAt = normalizeDate(record.publishedAt);
+  if (publishedAt.error) return { error: publishedAt.error };
+
+  const title = typeof record.title === 'string' && record.title.trim()
+    ? record.title.trim()
+    : text.split('\n')[0].substring(0, 120);
+
+  // Optional metadata is kept when present. Older dumps store the feed type
+  // ("rss") in `source`; that isn't an outlet name, so it's dropped.
+  const optional = {};
+  for (const key of ['source', 'author', 'image', 'canonicalUrl', 'language', 'section']) {
+    if (typeof record[key] === 'string' && record[key].trim()) optional[key] = record[key].trim();
+  }
+  if (FEED_TYPES.includes(optional.source)) delete optional.source;
+  if (Array.isArray(record.categories)) {
+    optional.categories = record.categories.filter(c => typeof c === 'string' && c.trim());
+  }
+
+  return {
+    article: {
+      title,
+      text,
+      url,
+      publishedAt: publishedAt.value,
+      ...optional
+    }
+  };
+}
+
+// Import a JSON/JSONL dump into the pipeline. Returns a report:
+// { file, total, imported, duplicates, nearDuplicates, skipped: [{ position, reason }] }
+// where nearDuplicates counts imported articles that joined an existing story
+async function importArticlesFromFile(pipeline, filePath = BUNDLED_ARTICLES_PATH) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  const { entries, errors } = parseArticleDump(raw, filePath);
+
+  const skipped = [...errors];
+  const articles = [];
+  const seenUrls = new Set();
+  let duplicates = 0;
+  for (const { record, position } of entries) {
+    const { article, error } = normalizeArticle(record);
+    if (error) {
+      skipped.push({ position, reason: error });
+      continue;
+    }
+    if (article.url && seenUrls.has(article.url)) {
+      duplicates++;
+      continue;
+    }
+    if (article.url) seenUrls.add(article.url);
+    articles.push(article);
+  }
+
+  const result = articles.length ? await pipeline.addDocuments(articles) : { articles: 0, duplicates: 0, nearDuplicates: 0 };
+  const report = {
+    file: filePath,
+    total: entries.length + errors.length,
+    imported: result.articles,
+    duplicates: duplicates + result.duplicates,
+    nearDuplicates: result.nearDuplicates,
+    skipped
+  };
+  console.log(
+    `Imported ${report.imported}/${report.total} articles from ${filePath} ` +
+    `(${report.duplicates} duplicates, ${report.nearDuplicates} near-duplicates, ${report.skipped.length} skipped)`
+  );
+  for (const { position, reason } of skipped) {
+    console.warn(`  skipped record ${position}: ${reason}`);
+  }
+  return report;
+}
+
+module.exports = {
+  importArticlesFromFile,
+  parseArticleDump,
+  normalizeArticle,
+  BUNDLED_ARTICLES_PATH
+};
@@ -0,0 +1,84 @@
+const { apiKeyStore } = require('./apiKeys');
+const { sessionStore } = require('./sessionStore');
+
+// API key authentication for the REST routes and the Socket.IO handshake.
+// Clients send `Authorization: Bearer <key>` (or `X-API-Key: <key>`); socket
+// clients may pass it as `io(url, { auth: { apiKey } })` instead.
+// AUTH_ENABLED=false turns checks off for local development: every caller then
+// acts as one anonymous admin.
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+
+const ANONYMOUS = { id: 'anonymous', name: 'anonymous', role: 'admin' };
+
+if (!AUTH_ENABLED) console.warn('AUTH_ENABLED=false; API keys are not checked and every caller is an admin');
+
+function keyFromHeaders(headers = {}) {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  return match ? match[1] : headers['x-api-key'];
+}
+
+// Admins may do everything users may
+function hasRole(principal, role) {
+  return principal.role === 'admin' || principal.role === role;
+}
+
+// The caller a key belongs to, { id, name, role }, or null for a missing,
+// unknown or revoked key
+async function authenticateKey(key) {
+  if (!AUTH_ENABLED) return ANONYMOUS;
+  const record = await apiKeyStore.findByKey(key);
+  return record ? { id: record.id, name: record.name, role: record.role } : null;
+}
+
+// Express middleware: 401 without a valid key, 403 when the key lacks `role`.
+// Sets req.auth to the caller.
+function requireRole(role) {
+  return async (req, res, next) => {
+    try {
+      const principal = await authenticateKey(keyFromHeaders(req.headers));
+      if (!principal) return res.status(401).json({ error: 'A valid API key is required' });
+      if (!hasRole(principal, role)) return res.status(403).json({ error: `This endpoint requires the ${role} role` });
+      req.auth = principal;
+      next();
+    } catch (error) {
+      console.error('Error authenticating request:', error);
+      res.status(500).json({ error: 'Failed to authenticate request', details: error.message });
+    }
+  };
+}
+
+// Socket.IO middleware (io.use): rejects the connection without a valid user
+// or admin key and sets socket.data.auth to the caller
+function authenticateSocket(socket, next) {
+  const { auth = {}, headers } = socket.handshake;
+  authenticateKey(auth.apiKey || keyFromHeaders(headers))
+    .then(principal => {
+      if (!principal || !hasRole(principal, 'user')) return next(new Error('A valid API key is required'));
+      socket.data.auth = principal;
+      next();
+    })
+    .catch(error => {
+      console.error('Error authenticating socket:', error);
+      next(new Error('Failed to authenticate'));
+    });
+}
+
+// Sessions belong to the key that created them
+function ownsSession(principal, session) {
+  return Boolean(principal && session) && session.ownerId === principal.id;
+}
+
+// The session if `principal` may use it, else null. Sessions created before
+// API keys existed have no owner; the first key to use one becomes its owner.
+async function claimSession(principal, session) {
+  const claimed = session && !session.ownerId ? await sessionStore.adoptSession(session.id, principal.id) : session;
+  return ownsSession(principal, claimed) ? claimed : null;
+}
+
+module.exports = {
+  requireRole,
+  authenticateSocket,
+  authenticateKey,
+  claimSession,
+  AUTH_ENABLED
+};
@@ -0,0 +1,122 @@
+const natural = require('natural');
+const { removeStopwords } = require('stopword');
+const { envNumber } = require('./env');
+
+const wordTokenizer = new natural.WordTokenizer();
+
+// BM25 parameters: k1 controls term-frequency saturation, b length normalisation
+const BM25_K1 = envNumber('RAG_BM25_K1', 1.2);
+const BM25_B = envNumber('RAG_BM25_B', 0.75);
+// Extra weight for documents containing a quoted phrase from the query verbatim
+const PHRASE_BOOST = envNumber('RAG_BM25_PHRASE_BOOST', 1.5);
+
+// Lowercase, tokenize, drop stopwords and stem
+function analyze(text) {
+  if (!text) return [];
+  const tokens = wordTokenizer
+    .tokenize(text.toLowerCase())
+    .filter(token => token.length > 1);
+  return removeStopwords(tokens).map(token => natural.PorterStemmer.stem(token));
+}
+
+// Phrases the user put in double quotes, e.g. "interest rates"
+function quotedPhrases(query) {
+  const phrases = [];
+  const re = /"([^"]+)"/g;
+  let match;
+  while ((match = re.exec(query || '')) !== null) {
+    const phrase = match[1].trim().toLowerCase();
+    if (phrase) phrases.push(phrase);
+  }
+  return phrases;
+}
+
+class BM25Index {
+  constructor({ k1 = BM25_K1, b = BM25_B } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.clear();
+  }
+
+  clear() {
+    this.docs = new Map(); // id -> { termFreqs, length, text }
+    this.postings = new Map(); // term -> Set of ids
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(id, text) {
+    if (this.docs.has(id)) this.remove(id);
+    const terms = analyze(text);
+    const termFreqs = new Map();
+    for (const term of terms) termFreqs.set(term, (termFreqs.get(term) || 0) + 1);
+
+    for (const term of termFreqs.keys()) {
+      if (!this.postings.has(term)) this.postings.set(term, new Set());
+      this.postings.get(term).add(id);
+    }
+    this.docs.set(id, { termFreqs, length: terms.length, text: (text || '').toLowerCase() });
+    this.totalLength += terms.length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+    for (const term of doc.termFreqs.keys()) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (!ids.size) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  idf(term) {
+    const df = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.docs.size - df + 0.5) / (df + 0.5));
+  }
+
+  // Returns up to `limit` matches as [{ id, score }], best first. `filter(id)`,
+  // when given, excludes documents before the limit is applied.
+  search(query, limit = 10, filter = null) {
+    const terms = [...new Set(analyze(query))];
+    if (!terms.length || !this.docs.size) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+    for (const term of terms) {
+      const ids = this.postings.get(term);
+      if (!ids) continue;
+      const idf = this.idf(term);
+      for (const id of ids) {
+        if (filter && !filter(id)) continue;
+        const doc = this.docs.get(id);
+        const tf = doc.termFreqs.get(term);
+        const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / avgLength));
+        scores.set(id, (scores.get(id) || 0) + idf * ((tf * (this.k1 + 1)) / norm));
+      }
+    }
+
+    const phrases = quotedPhrases(query);
+    if (phrases.length) {
+      for (const [id, score] of scores) {
+        const text = this.docs.get(id).text;
+        if (phrases.some(phrase => text.includes(phrase))) scores.set(id, score * PHRASE_BOOST);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  BM25Index,
+  analyze
+};
@@ -0,0 +1,87 @@
+const natural = require('natural');
+const { envNumber } = require('./env');
+
+const sentenceTokenizer = new natural.SentenceTokenizer();
+
+// Chunk sizes are in characters; overlap is carried over as whole sentences
+const CHUNK_SIZE = envNumber('RAG_CHUNK_SIZE', 1000, { min: 1 });
+const CHUNK_OVERLAP = envNumber('RAG_CHUNK_OVERLAP', 200);
+
+function joinedLength(sentences) {
+  return sentences.reduce((sum, s) => sum + s.length, 0) + Math.max(sentences.length - 1, 0);
+}
+
+// Split text into sentences, paragraph by paragraph
+function splitSentences(text) {
+  const sentences = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const normalized = paragraph.replace(/\s+/g, ' ').trim();
+    if (!normalized) continue;
+    try {
+      sentences.push(...sentenceTokenizer.tokenize(normalized).map(s => s.trim()).filter(Boolean));
+    } catch (_) {
+      sentences.push(normalized);
+    }
+  }
+  return sentences;
+}
+
+// Break a sentence longer than the chunk size on word boundaries
+function splitLongSentence(sentence, chunkSize) {
+  const pieces = [];
+  let current = '';
+  for (const word of sentence.split(' ')) {
+    if (current && current.length + 1 + word.length > chunkSize) {
+      pieces.push(current);
+      current = '';
+    }
+    // A single word longer than the chunk is cut outright
+    let rest = word;
+    while (rest.length > chunkSize) {
+      pieces.push(rest.substring(0, chunkSize));
+      rest = rest.substring(chunkSize);
+    }
+    current = current ? `${current} ${rest}` : rest;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+// Split text into passages of at most `chunkSize` characters. Chunks end on
+// sentence boundaries, and each chunk starts with the trailing sentences of the
+// previous one (up to `chunkOverlap` characters) so context isn't cut mid-thought.
+function chunkText(text, { chunkSize = CHUNK_SIZE, chunkOverlap = CHUNK_OVERLAP } = {}) {
+  if (!text || !text.trim()) return [];
+  const overlap = Math.min(chunkOverlap, Math.floor(chunkSize / 2));
+
+  const sentences = splitSentences(text)
+    .flatMap(s => (s.length > chunkSize ? splitLongSentence(s, chunkSize) : [s]));
+
+  const chunks = [];
+  let current = [];
+  for (const sentence of sentences) {
+    if (current.length && joinedLength([...current, sentence]) > chunkSize) {
+      chunks.push(current.join(' '));
+
+      // Carry the tail of the finished chunk into the next one
+      const carried = [];
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (joinedLength([current[i], ...carried]) > overlap) break;
+        carried.unshift(current[i]);
+      }
+      while (carried.length && joinedLength([...carried, sentence]) > chunkSize) carried.shift();
+      current = carried;
+    }
+    current.push(sentence);
+  }
+  if (current.length) chunks.push(current.join(' '));
+
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  splitSentences,
+  CHUNK_SIZE,
+  CHUNK_OVERLAP
+};
@@ -0,0 +1,112 @@
+const { analyze } = require('./bm25');
+const { envNumber } = require('./env');
+
+// Inline citations: the context lists sources as [1], [2], ... and the model
+// is asked to put those markers after the sentences they support. After
+// generation the markers are checked against the sources that were actually
+// retrieved and each cited sentence is mapped back to its article.
+//
+// Markers that point at no retrieved source are removed from the answer
+// ("strip") or left in place ("flag"); they are reported either way. Bracketed
+// numbers above CITATION_MAX_MARKER ("in [2024]") can't be markers and are left
+// alone.
+const CITATION_INVALID_MARKERS = (process.env.CITATION_INVALID_MARKERS || 'strip').toLowerCase();
+// Longest passage excerpt returned with a citation
+const CITATION_PASSAGE_CHARS = envNumber('CITATION_PASSAGE_CHARS', 500);
+// Largest number read as a citation marker; contexts never list more sources
+const CITATION_MAX_MARKER = envNumber('CITATION_MAX_MARKER', 20);
+
+// [1], [2, 3], [1; 4]
+const MARKER_GROUP = /\s*\[(\d+(?:\s*[,;]\s*\d+)*)\]/g;
+const MARKER = /\[(\d+)\]/g;
+// End of a sentence: terminal punctuation (plus closing quotes/brackets and any
+// markers attached to it) before whitespace, or a line break
+const SENTENCE_END = /[.!?]+["'”’)]*((?:\s*\[\d+\])*)(?=\s|$)|\n+/g;
+
+const isMarker = n => n >= 1 && n <= CITATION_MAX_MARKER;
+const groupNumbers = list => list.split(/[,;]/).map(n => Number(n.trim()));
+
+// Rewrite marker groups as one [n] per source, dropping (or keeping, in flag
+// mode) numbers outside 1..sourceCount. Groups holding a number that can't be
+// a marker are not citations and stay as written. Returns { text, invalid }.
+function checkMarkers(answer, sourceCount, mode = CITATION_INVALID_MARKERS) {
+  const invalid = new Set();
+  const text = answer.replace(MARKER_GROUP, (group, list) => {
+    const numbers = groupNumbers(list);
+    if (!numbers.every(isMarker)) return group;
+    numbers.filter(n => n < 1 || n > sourceCount).forEach(n => invalid.add(n));
+    const kept = mode === 'flag' ? numbers : numbers.filter(n => n >= 1 && n <= sourceCount);
+    if (!kept.length) return '';
+    const leading = /^\s/.test(group) ? ' ' : '';
+    return leading + [...new Set(kept)].map(n => `[${n}]`).join('');
+  });
+  return { text, invalid: [...invalid].sort((a, b) => a - b) };
+}
+
+// Sentences of the answer as { start, end } character offsets, markers included
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  const push = end => {
+    const leading = text.slice(start, end).search(/\S/);
+    if (leading !== -1) spans.push({ start: start + leading, end });
+    start = end;
+  };
+  for (const match of text.matchAll(SENTENCE_END)) push(match.index + match[0].length);
+  push(text.length);
+  return spans;
+}
+
+// The source's retrieved chunk that shares most terms with the sentence
+function supportingPassage(doc, sentence) {
+  const chunks = doc.chunks?.length ? doc.chunks.map(chunk => chunk.content) : [doc.content || ''];
+  const terms = new Set(analyze(sentence));
+  let best = chunks[0];
+  let bestOverlap = -1;
+  for (const chunk of chunks) {
+    const overlap = new Set(analyze(chunk).filter(term => terms.has(term))).size;
+    if (overlap > bestOverlap) {
+      best = chunk;
+      bestOverlap = overlap;
+    }
+  }
+  return best.length > CITATION_PASSAGE_CHARS ? `${best.substring(0, CITATION_PASSAGE_CHARS)}...` : best;
+}
+
+// Validate the [n] markers in an answer against `sources` (marker n is
+// sources[n - 1]). Returns
+//   answer            - the answer with invalid markers handled per CITATION_INVALID_MARKERS
+//   citations         - [{ marker, text, start, end, title, source, url, passage }], one per
+//                       cited sentence and marker; start/end locate the sentence in `answer`
+//   invalidCitations  - marker numbers that matched no source
+function attachCitations(answer, sources = [], { mode } = {}) {
+  const { text, invalid } = checkMarkers(answer || '', sources.length, mode);
+  const citations = [];
+  for (const { start, end } of sentenceSpans(text)) {
+    const raw = text.slice(start, end);
+    const sentence = raw.replace(MARKER_GROUP, (group, list) => (groupNumbers(list).every(isMarker) ? '' : group)).trim();
+    const markers = new Set([...raw.matchAll(MARKER)].map(match => Number(match[1])).filter(isMarker));
+    for (const marker of markers) {
+      const doc = sources[marker - 1];
+      if (!doc) continue;
+      citations.push({
+        marker,
+        text: sentence,
+        start,
+        end,
+        title: doc.metadata?.title || '',
+        source: doc.metadata?.source || '',
+        url: doc.metadata?.url || '',
+        passage: supportingPassage(doc, sentence)
+      });
+    }
+  }
+  if (invalid.length) console.warn(`Answer cited missing sources: ${invalid.map(n => `[${n}]`).join(' ')}`);
+  return { answer: text, citations, invalidCitations: invalid };
+}
+
+module.exports = {
+  attachCitations,
+  checkMarkers,
+  sentenceSpans
+};
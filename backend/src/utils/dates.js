@@ -0,0 +1,63 @@
+// Publication dates arrive in whatever format a feed or page uses: RFC-822
+// ("Tue, 16 Sep 2025 15:42:06 BST"), ISO 8601, epoch seconds or millis, or a
+// Date. Everything is turned into epoch millis here so ranking and filters can
+// compare them.
+
+// Zone abbreviations Date.parse doesn't know (it handles GMT, UT, Z and the US zones)
+const ZONE_OFFSETS = {
+  BST: '+0100', IST: '+0100', WET: '+0000', WEST: '+0100',
+  CET: '+0100', CEST: '+0200', MET: '+0100', MEST: '+0200',
+  EET: '+0200', EEST: '+0300', MSK: '+0300',
+  SGT: '+0800', HKT: '+0800', JST: '+0900', KST: '+0900',
+  AEST: '+1000', AEDT: '+1100', ACST: '+0930', AWST: '+0800',
+  NZST: '+1200', NZDT: '+1300'
+};
+// Publishers occasionally stamp articles slightly ahead of the crawler's clock;
+// anything further in the future than this is treated as bogus
+const MAX_FUTURE_MS = 24 * 60 * 60 * 1000;
+// Epoch values below this are seconds rather than millis (10^11 ms is 1973)
+const EPOCH_SECONDS_LIMIT = 1e11;
+
+function fromEpoch(number) {
+  return number < EPOCH_SECONDS_LIMIT ? number * 1000 : number;
+}
+
+// Epoch millis for a date value, or null when it is missing, unparseable or
+// implausibly far in the future
+function parseTimestamp(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  let ts;
+  if (value instanceof Date) {
+    ts = value.getTime();
+  } else if (typeof value === 'number') {
+    ts = fromEpoch(value);
+  } else {
+    const text = String(value).trim().replace(/\s+/g, ' ');
+    if (/^\d{9,13}$/.test(text)) {
+      ts = fromEpoch(Number(text));
+    } else {
+      ts = Date.parse(text);
+      if (Number.isNaN(ts)) {
+        // "Sept" and unknown zone abbreviations are the usual culprits
+        const repaired = text
+          .replace(/\bSept\b/i, 'Sep')
+          .replace(/\b([A-Z]{3,4})$/, (zone, name) => ZONE_OFFSETS[name] || zone);
+        ts = Date.parse(repaired);
+      }
+    }
+  }
+  if (!Number.isFinite(ts) || ts - now > MAX_FUTURE_MS) return null;
+  return ts;
+}
+
+// ISO 8601 form of a date value, or undefined if it can't be parsed
+function toISODate(value, now) {
+  const ts = parseTimestamp(value, now);
+  return ts === null ? undefined : new Date(ts).toISOString();
+}
+
+module.exports = {
+  parseTimestamp,
+  toISODate
+};
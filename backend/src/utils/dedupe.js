@@ -0,0 +1,186 @@
+const { fnv1a } = require('./embeddings');
+
+// Duplicate detection for ingestion:
+//   canonicalizeUrl  - one key per article URL regardless of tracking parameters
+//   trustedCanonicalUrl - the page's declared canonical URL, when it names the article
+//   minhashSignature - content fingerprint; similar texts get similar signatures
+//   NearDuplicateIndex - LSH lookup of earlier articles whose content overlaps
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAM = /^(utm_\w+|at_\w+|ns_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ocid|cmpid|cmp|ito|xtor|smid|ref|rss|_ga)$/i;
+
+// Normalised form of an article URL used as its dedupe key: https, lowercase
+// host without "www.", no fragment, no tracking parameters, remaining
+// parameters sorted and no trailing slash. Unparseable input is returned trimmed.
+function canonicalizeUrl(url) {
+  const trimmed = (url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(trimmed);
+  } catch (e) {
+    return trimmed;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return trimmed;
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAM.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  const host = parsed.host.toLowerCase().replace(/^www\./, '');
+  const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+  return `https://${host}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// A page's <link rel=canonical> / og:url, or null when it can't be trusted to
+// identify the article. Many sites point it at their homepage or a section
+// page, which would make every article on the site a duplicate of the first.
+// A canonical URL is ignored when it is on another host than the article,
+// when its path is empty or an ancestor of the article's path (/news for
+// /news/some-story), or when it is a single short segment with no digits
+// (/world, /uk-news) rather than a slug or id.
+function trustedCanonicalUrl(url, canonicalUrl) {
+  let canonical;
+  try {
+    canonical = new URL((canonicalUrl || '').trim());
+  } catch (e) {
+    return null;
+  }
+  const segments = canonical.pathname.split('/').filter(Boolean);
+  if (!segments.length) return null;
+  if (segments.length === 1 && !/\d/.test(segments[0]) && segments[0].split(/[-_]/).length < 3) return null;
+
+  let page;
+  try {
+    page = new URL((url || '').trim());
+  } catch (e) {
+    return canonical.href; // nothing to compare against
+  }
+  const host = parsed => parsed.hostname.toLowerCase().replace(/^www\./, '');
+  if (host(canonical) !== host(page)) return null;
+  const canonicalPath = canonical.pathname.replace(/\/+$/, '');
+  if (page.pathname.startsWith(`${canonicalPath}/`)) return null;
+  return canonical.href;
+}
+
+// MinHash over word shingles. Each of the MINHASH_SIZE slots keeps the smallest
+// hash of any shingle under its own hash function; the share of slots two
+// signatures agree on estimates the Jaccard similarity of their shingle sets.
+const MINHASH_SIZE = 128;
+const SHINGLE_SIZE = 5;
+// Texts shorter than this have too few shingles for a meaningful fingerprint
+const MIN_FINGERPRINT_WORDS = 30;
+
+// Per-slot seeds, fixed so signatures stay comparable across restarts
+const SEEDS = Array.from({ length: MINHASH_SIZE }, (_, i) => fnv1a(`minhash-seed-${i}`));
+
+// murmur3 finaliser: cheap, well-mixed 32-bit hash of a 32-bit input
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// Returns an array of MINHASH_SIZE integers, or null for texts too short to fingerprint
+function minhashSignature(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_FINGERPRINT_WORDS) return null;
+
+  const shingles = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    shingles.add(fnv1a(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+  }
+  const signature = new Array(MINHASH_SIZE).fill(0xffffffff);
+  for (const shingle of shingles) {
+    for (let i = 0; i < MINHASH_SIZE; i++) {
+      const h = mix32(shingle ^ SEEDS[i]);
+      if (h < signature[i]) signature[i] = h;
+    }
+  }
+  return signature;
+}
+
+function estimateSimilarity(a, b) {
+  let same = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) same++;
+  }
+  return same / a.length;
+}
+
+// Locality-sensitive hashing over MinHash signatures: signatures are cut into
+// bands and any two sharing a whole band become candidates, which are then
+// checked against `threshold`. 32 bands of 4 rows catch pairs from a
+// similarity of about 0.45 up, comfortably below the default threshold.
+class NearDuplicateIndex {
+  constructor({ threshold = 0.6, bands = 32 } = {}) {
+    this.threshold = threshold;
+    this.bands = bands;
+    this.rows = MINHASH_SIZE / bands;
+    this.signatures = new Map(); // id -> signature
+    this.buckets = new Map();    // band key -> [id]
+  }
+
+  get size() {
+    return this.signatures.size;
+  }
+
+  bandKeys(signature) {
+    const keys = [];
+    for (let band = 0; band < this.bands; band++) {
+      keys.push(`${band}:${signature.slice(band * this.rows, (band + 1) * this.rows).join(',')}`);
+    }
+    return keys;
+  }
+
+  add(id, signature) {
+    if (!signature || this.signatures.has(id)) return;
+    this.signatures.set(id, signature);
+    for (const key of this.bandKeys(signature)) {
+      if (!this.buckets.has(key)) this.buckets.set(key, []);
+      this.buckets.get(key).push(id);
+    }
+  }
+
+  remove(id) {
+    const signature = this.signatures.get(id);
+    if (!signature) return;
+    this.signatures.delete(id);
+    for (const key of this.bandKeys(signature)) {
+      const ids = this.buckets.get(key).filter(other => other !== id);
+      if (ids.length) this.buckets.set(key, ids);
+      else this.buckets.delete(key);
+    }
+  }
+
+  // Most similar indexed entry at or above the threshold: { id, similarity } or null
+  findMatch(signature) {
+    if (!signature) return null;
+    const checked = new Set();
+    let best = null;
+    for (const key of this.bandKeys(signature)) {
+      for (const id of this.buckets.get(key) || []) {
+        if (checked.has(id)) continue;
+        checked.add(id);
+        const similarity = estimateSimilarity(signature, this.signatures.get(id));
+        if (similarity >= this.threshold && (!best || similarity > best.similarity)) best = { id, similarity };
+      }
+    }
+    return best;
+  }
+
+  clear() {
+    this.signatures.clear();
+    this.buckets.clear();
+  }
+}
+
+module.exports = {
+  canonicalizeUrl,
+  trustedCanonicalUrl,
+  minhashSignature,
+  estimateSimilarity,
+  NearDuplicateIndex
+};
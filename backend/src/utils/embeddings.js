@@ -0,0 +1,154 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+const { analyze } = require('./bm25');
+const { withRetries } = require('./retry');
+const { envNumber } = require('./env');
+
+// Provider selection: jina | gemini | local. Defaults to Jina when a key is set,
+// otherwise the offline local embedder.
+const JINA_API_KEY = process.env.JINA_API_KEY || process.env.JINA_EMBEDDINGS_API_KEY;
+const EMBEDDING_PROVIDER = (process.env.EMBEDDING_PROVIDER || (JINA_API_KEY ? 'jina' : 'local')).toLowerCase();
+const EMBEDDING_BATCH_SIZE = envNumber('EMBEDDING_BATCH_SIZE', 0);
+const EMBEDDING_TIMEOUT_MS = envNumber('EMBEDDING_TIMEOUT_MS', 60000);
+
+const JINA_MODEL = process.env.JINA_MODEL || 'jina-embeddings-v2-base-en';
+const GEMINI_EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001';
+const LOCAL_EMBEDDING_DIMENSIONS = envNumber('LOCAL_EMBEDDING_DIMENSIONS', 384, { min: 1 });
+
+// Shared batching, retries and shape checks. Subclasses implement
+// embedBatch(texts, { taskType }) for at most `maxBatchSize` texts.
+// taskType is 'document' when indexing and 'query' when searching.
+class EmbeddingProvider {
+  constructor({ name, model, maxBatchSize, dimensions = null }) {
+    this.name = name;
+    this.model = model;
+    this.maxBatchSize = EMBEDDING_BATCH_SIZE || maxBatchSize;
+    this.dimensions = dimensions; // learnt from the first response when not fixed
+  }
+
+  async embedTexts(texts, { taskType = 'document' } = {}) {
+    if (!Array.isArray(texts) || texts.length === 0) return [];
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += this.maxBatchSize) {
+      const batch = texts.slice(i, i + this.maxBatchSize);
+      const batchVectors = await withRetries(
+        () => this.embedBatch(batch, { taskType }),
+        { label: `${this.name} embeddings` }
+      );
+      if (batchVectors.length !== batch.length) {
+        throw new Error(`${this.name} returned ${batchVectors.length} embeddings for ${batch.length} texts`);
+      }
+      vectors.push(...batchVectors);
+    }
+
+    for (const vector of vectors) {
+      if (this.dimensions && vector.length !== this.dimensions) {
+        throw new Error(`${this.name} returned a ${vector.length}-dimensional embedding; expected ${this.dimensions}`);
+      }
+      this.dimensions = this.dimensions || vector.length;
+    }
+    return vectors;
+  }
+}
+
+class JinaEmbeddingProvider extends EmbeddingProvider {
+  constructor({ apiKey = JINA_API_KEY, model = JINA_MODEL } = {}) {
+    super({ name: 'jina', model, maxBatchSize: 64 });
+    if (!apiKey) throw new Error('JINA_API_KEY is required for the jina embedding provider');
+    this.apiKey = apiKey;
+  }
+
+  async embedBatch(texts) {
+    const resp = await axios.post(
+      'https://api.jina.ai/v1/embeddings',
+      { model: this.model, input: texts },
+      { headers: { Authorization: `Bearer ${this.apiKey}`, 'Content-Type': 'application/json' }, timeout: EMBEDDING_TIMEOUT_MS }
+    );
+    return (resp.data?.data || []).map(d => d.embedding);
+  }
+}
+
+class GeminiEmbeddingProvider extends EmbeddingProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = GEMINI_EMBEDDING_MODEL } = {}) {
+    super({ name: 'gemini', model, maxBatchSize: 100 });
+    if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini embedding provider');
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async embedBatch(texts, { taskType }) {
+    const resp = await this.client.batchEmbedContents({
+      requests: texts.map(text => ({
+        content: { role: 'user', parts: [{ text }] },
+        taskType: taskType === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+      }))
+    });
+    return (resp.embeddings || []).map(e => e.values);
+  }
+}
+
+// 32-bit FNV-1a hash
+function fnv1a(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Offline, deterministic embedder using the hashing trick: stemmed unigrams and
+// bigrams are hashed into a fixed number of signed buckets, weighted by
+// log term frequency and L2-normalised. No network, no model download.
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  constructor({ dimensions = LOCAL_EMBEDDING_DIMENSIONS } = {}) {
+    super({ name: 'local', model: `hashing-${dimensions}`, maxBatchSize: Infinity, dimensions });
+  }
+
+  embedOne(text) {
+    const terms = analyze(text);
+    const features = new Map();
+    terms.forEach((term, i) => {
+      features.set(term, (features.get(term) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${terms[i - 1]} ${term}`;
+        features.set(bigram, (features.get(bigram) || 0) + 1);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, tf] of features) {
+      const hash = fnv1a(feature);
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(tf));
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+    return norm ? vector.map(v => v / norm) : vector;
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+function createEmbeddingProvider(name = EMBEDDING_PROVIDER) {
+  switch (name) {
+    case 'jina':
+      return new JinaEmbeddingProvider();
+    case 'gemini':
+      return new GeminiEmbeddingProvider();
+    case 'local':
+      return new LocalEmbeddingProvider();
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER '${name}' (expected jina, gemini or local)`);
+  }
+}
+
+module.exports = {
+  createEmbeddingProvider,
+  EmbeddingProvider,
+  JinaEmbeddingProvider,
+  GeminiEmbeddingProvider,
+  LocalEmbeddingProvider,
+  fnv1a
+};
@@ -0,0 +1,14 @@
+// Numeric setting from the environment. Unlike `Number(value) || fallback`
+// this keeps an explicit 0; unset, empty or non-numeric values give `fallback`.
+// Settings where 0 makes no sense (sizes, counts, timeouts) pass `min`, and
+// values below it give `fallback` too.
+function envNumber(name, fallback, { min = -Infinity } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || String(raw).trim() === '') return fallback;
+  const value = Number(raw);
+  return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+module.exports = {
+  envNumber
+};
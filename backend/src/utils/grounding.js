@@ -0,0 +1,182 @@
+const { analyze } = require('./bm25');
+const { sentenceSpans } = require('./citations');
+const { envNumber } = require('./env');
+
+// Post-generation faithfulness check: every sentence of the answer is scored
+// for how well the retrieved passages support it, and the answer gets a
+// confidence score. Answers with any unsupported sentence are annotated. Token
+// overlap under-rates paraphrased LLM answers, so replacing low-confidence
+// answers with a refusal is opt-in (GROUNDING_REFUSE_BELOW).
+// Checkers: none | lexical (offline entailment heuristics) | llm (LLM judge,
+// falling back to lexical when no LLM answers)
+const GROUNDING_CHECK = (process.env.GROUNDING_CHECK || 'lexical').toLowerCase();
+// A sentence counts as supported from this score up
+const GROUNDING_SUPPORT_THRESHOLD = envNumber('GROUNDING_SUPPORT_THRESHOLD', 0.5);
+// Answers whose confidence is below this are refused outright; 0 never refuses
+const GROUNDING_REFUSE_BELOW = envNumber('GROUNDING_REFUSE_BELOW', 0);
+const GROUNDING_PASSAGE_CHARS = envNumber('GROUNDING_PASSAGE_CHARS', 800);
+
+const REFUSAL = "I don't have enough information to answer that.";
+const UNVERIFIED_NOTE = 'Note: some statements in this answer could not be verified against the retrieved articles.';
+
+// Sentences too short to carry a claim ("Sure.", "In short:") are not checked
+const MIN_CLAIM_TERMS = 3;
+// Words that describe the sourcing rather than the news
+const ATTRIBUTION_TERMS = new Set(analyze('based on the article articles according to report reports reported read more source sources'));
+const REFUSAL_PATTERN = /(don't|do not) have enough information|cannot be found in the articles|no information (about|on)/i;
+const NEGATION_PATTERN = /\b(not|no|never|none|neither|nor|without|denied|denies|rejected)\b|n't\b/i;
+const NUMBER_PATTERN = /\d[\d,]*(?:\.\d+)?/g;
+
+// Every checker implements
+//   score(sentences, passages) -> Promise<number[]>
+// with one support score in 0..1 per sentence; `passages` are the texts of the
+// retrieved chunks.
+
+function numbersIn(text) {
+  return (text.match(NUMBER_PATTERN) || []).map(n => n.replace(/,/g, ''));
+}
+
+// Offline heuristics: share of the sentence's content terms found in the best
+// passage, capped below the threshold when the sentence states a number that
+// passage lacks and reduced when the sentence is negated but the passage isn't.
+class LexicalGroundingChecker {
+  constructor() {
+    this.name = 'lexical';
+  }
+
+  scoreOne(sentence, passages) {
+    const terms = [...new Set(analyze(sentence))].filter(term => !ATTRIBUTION_TERMS.has(term));
+    if (!terms.length) return 1;
+    const numbers = numbersIn(sentence);
+    const negated = NEGATION_PATTERN.test(sentence);
+    let best = 0;
+    for (const passage of passages) {
+      let support = terms.filter(term => passage.terms.has(term)).length / terms.length;
+      if (numbers.some(n => !passage.numbers.has(n))) support = Math.min(support, GROUNDING_SUPPORT_THRESHOLD * 0.8);
+      if (negated && !passage.negated) support *= 0.8;
+      best = Math.max(best, support);
+    }
+    return best;
+  }
+
+  async score(sentences, passages) {
+    const analyzed = passages.map(passage => ({
+      terms: new Set(analyze(passage.text)),
+      numbers: new Set(numbersIn(passage.text)),
+      negated: NEGATION_PATTERN.test(passage.text)
+    }));
+    return sentences.map(sentence => this.scoreOne(sentence, analyzed));
+  }
+}
+
+// Asks the LLM whether the passages support each sentence. Falls back to the
+// lexical heuristics when no real LLM answers or the reply can't be read.
+class LLMGroundingChecker {
+  constructor({ generator }) {
+    if (!generator) throw new Error('The llm grounding check needs a generator');
+    this.name = 'llm';
+    this.generator = generator;
+    this.fallback = new LexicalGroundingChecker();
+  }
+
+  buildPrompt(sentences, passages) {
+    return [
+      'Decide whether the passages support each numbered statement.',
+      `Reply with only a JSON array of ${sentences.length} numbers between 0 and 1, one per statement in order: ` +
+        '1 if the passages clearly state it, 0 if they do not mention it or contradict it.',
+      `Passages:\n${passages.map((p, i) => `(${i + 1}) ${p.text}`).join('\n\n')}`,
+      `Statements:\n${sentences.map((s, i) => `[${i + 1}] ${s}`).join('\n')}`
+    ].join('\n\n');
+  }
+
+  async score(sentences, passages) {
+    try {
+      const { text, provider } = await this.generator.generate({ prompt: this.buildPrompt(sentences, passages), question: '', sources: [] });
+      if (provider === 'extractive') throw new Error('no LLM available to judge the answer');
+      const match = /\[[\s\S]*?\]/.exec(text || '');
+      const scores = match ? JSON.parse(match[0]).map(Number) : null;
+      if (!Array.isArray(scores) || scores.length !== sentences.length || !scores.every(Number.isFinite)) {
+        throw new Error(`unreadable verdicts from ${provider}: ${String(text).substring(0, 100)}`);
+      }
+      return scores.map(score => Math.min(1, Math.max(0, score)));
+    } catch (error) {
+      console.warn(`LLM grounding check failed, using lexical heuristics: ${error.message}`);
+      return this.fallback.score(sentences, passages);
+    }
+  }
+}
+
+// Returns null for 'none'
+function createGroundingChecker({ name = GROUNDING_CHECK, generator } = {}) {
+  switch (name) {
+    case 'none':
+      return null;
+    case 'lexical':
+      return new LexicalGroundingChecker();
+    case 'llm':
+      return new LLMGroundingChecker({ generator });
+    default:
+      throw new Error(`Unknown GROUNDING_CHECK '${name}' (expected none, lexical or llm)`);
+  }
+}
+
+// Chunk texts of the retrieved sources, each headed by its article's title,
+// outlet and publication date so answers may state those too
+function sourcePassages(sources) {
+  return sources.flatMap((doc, i) => {
+    const { title = '', source = '', publishedAt = '' } = doc.metadata || {};
+    const heading = `${title}\n${source} ${String(publishedAt).slice(0, 10)}`;
+    const chunks = doc.chunks?.length ? doc.chunks.map(chunk => chunk.content) : [doc.content || ''];
+    return chunks.map(chunk => ({
+      sourceIndex: i,
+      text: `${heading}\n${chunk.substring(0, GROUNDING_PASSAGE_CHARS)}`
+    }));
+  });
+}
+
+// Check an answer against its sources. Returns { answer, grounding } where
+// `answer` may have been replaced or annotated and
+//   grounding = { checker, confidence, action: 'none' | 'annotated' | 'refused',
+//                 sentences: [{ text, start, end, support, supported }] }
+// with start/end locating each checked sentence in the original answer.
+// `refuseBelow` overrides GROUNDING_REFUSE_BELOW; 0 only annotates.
+async function verifyAnswer(checker, answer, sources, { refuseBelow = GROUNDING_REFUSE_BELOW } = {}) {
+  const claims = sentenceSpans(answer || '')
+    .map(({ start, end }) => ({
+      start,
+      end,
+      text: answer.slice(start, end).replace(/\s*\[\d+\]/g, '').replace(/\[Read more:[^\]]*\]|https?:\/\/\S+/g, '').trim()
+    }))
+    .filter(claim => !REFUSAL_PATTERN.test(claim.text) && analyze(claim.text).length >= MIN_CLAIM_TERMS);
+  if (!claims.length || !sources.length) {
+    // Nothing checkable: a refusal, or an answer given without sources
+    return { answer, grounding: { checker: checker.name, confidence: claims.length ? 0 : 1, action: 'none', sentences: [] } };
+  }
+
+  const scores = await checker.score(claims.map(claim => claim.text), sourcePassages(sources));
+  const sentences = claims.map((claim, i) => ({
+    ...claim,
+    support: Math.round(scores[i] * 1000) / 1000,
+    supported: scores[i] >= GROUNDING_SUPPORT_THRESHOLD
+  }));
+  const confidence = Math.round(sentences.reduce((sum, s) => sum + s.support, 0) / sentences.length * 1000) / 1000;
+
+  let action = 'none';
+  let checkedAnswer = answer;
+  if (confidence < refuseBelow) {
+    action = 'refused';
+    checkedAnswer = REFUSAL;
+  } else if (sentences.some(s => !s.supported)) {
+    action = 'annotated';
+    checkedAnswer = `${answer.trimEnd()}\n\n${UNVERIFIED_NOTE}`;
+  }
+  if (action !== 'none') console.warn(`Grounding check ${action} the answer (confidence ${confidence})`);
+  return { answer: checkedAnswer, grounding: { checker: checker.name, confidence, action, sentences } };
+}
+
+module.exports = {
+  createGroundingChecker,
+  verifyAnswer,
+  LexicalGroundingChecker,
+  LLMGroundingChecker
+};
@@ -0,0 +1,257 @@
+const path = require('path');
+const axios = require('axios');
+const { withRetries, sleep } = require('./retry');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { envNumber } = require('./env');
+
+// Polite HTTP for crawling news sites: per-host spacing between requests,
+// robots.txt rules, request timeouts, retries on 429/5xx and conditional GETs
+// (ETag / Last-Modified) backed by an on-disk cache.
+// Product token matched against robots.txt User-agent lines. Requests carry it
+// in their User-Agent too, so sites can tell which rules the crawler follows.
+const ROBOTS_AGENT = process.env.FETCH_ROBOTS_AGENT || 'NewsRAGBot';
+const USER_AGENT = withAgentToken(process.env.FETCH_USER_AGENT || `${ROBOTS_AGENT}/1.0 (news RAG chatbot)`);
+const FETCH_TIMEOUT_MS = envNumber('FETCH_TIMEOUT_MS', 15000);
+const FETCH_MAX_RETRIES = envNumber('FETCH_MAX_RETRIES', 2);
+// Minimum gap between two requests to the same host (robots.txt Crawl-delay wins if longer)
+const FETCH_HOST_DELAY_MS = envNumber('FETCH_HOST_DELAY_MS', 1000);
+const FETCH_MAX_CONTENT_BYTES = envNumber('FETCH_MAX_CONTENT_BYTES', 5 * 1024 * 1024, { min: 1 });
+const ROBOTS_TTL_MS = envNumber('ROBOTS_TTL_SECONDS', 60 * 60) * 1000;
+const HTTP_CACHE_PATH = process.env.HTTP_CACHE_PATH ||
+  path.join(__dirname, '../../data/http_cache/cache.json');
+const HTTP_CACHE_MAX_ENTRIES = envNumber('HTTP_CACHE_MAX_ENTRIES', 2000);
+
+// A custom FETCH_USER_AGENT that doesn't name ROBOTS_AGENT gets the token appended
+function withAgentToken(userAgent) {
+  return userAgent.toLowerCase().includes(ROBOTS_AGENT.toLowerCase()) ? userAgent : `${userAgent} ${ROBOTS_AGENT}/1.0`;
+}
+
+// Parse robots.txt into the rules that apply to `agent`, following RFC 9309:
+// the groups whose User-agent is the agent's product token (compared
+// case-insensitively, ignoring any "/version") or else the `*` groups, with
+// the rules of several matching groups combined.
+// Returns { rules: [{ allow, path }], crawlDelayMs }.
+function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.split('/')[0].trim().toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((field === 'allow' || field === 'disallow') && value) {
+      current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay' && Number(value) >= 0) {
+      current.crawlDelayMs = Number(value) * 1000;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  const named = groups.filter(g => g.agents.includes(token));
+  const matching = named.length ? named : groups.filter(g => g.agents.includes('*'));
+  const delays = matching.map(g => g.crawlDelayMs).filter(delay => delay !== null);
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelayMs: delays.length ? Math.max(...delays) : null
+  };
+}
+
+function robotsPatternMatches(pattern, target) {
+  // `*` matches any run of characters; a trailing `$` anchors the end
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`).test(target);
+}
+
+// Longest matching rule wins; Allow beats Disallow on a tie. No match means allowed.
+function isPathAllowed(rules, target) {
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternMatches(rule.path, target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+function httpError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return error;
+}
+
+class PoliteHttpClient {
+  constructor({
+    userAgent = USER_AGENT,
+    robotsAgent = ROBOTS_AGENT,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    retries = FETCH_MAX_RETRIES,
+    hostDelayMs = FETCH_HOST_DELAY_MS,
+    cachePath = HTTP_CACHE_PATH,
+    maxCacheEntries = HTTP_CACHE_MAX_ENTRIES
+  } = {}) {
+    this.userAgent = userAgent;
+    this.robotsAgent = robotsAgent;
+    this.timeoutMs = timeoutMs;
+    this.retries = retries;
+    this.hostDelayMs = hostDelayMs;
+    this.cachePath = cachePath;
+    this.maxCacheEntries = maxCacheEntries;
+    this.nextSlot = new Map(); // host -> earliest time the next request may start
+    this.robots = new Map();   // origin -> { fetchedAt, promise of parsed robots }
+    this.cache = null;         // url -> { etag, lastModified, storedAt, value }
+    this.cacheLoading = null;
+    this.cacheDirty = false;
+  }
+
+  // Wait for this host's next free slot. Slots are reserved up front, so
+  // concurrent callers for the same host queue up `delayMs` apart.
+  async waitForHost(host, delayMs = this.hostDelayMs) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextSlot.get(host) || 0);
+    this.nextSlot.set(host, start + delayMs);
+    if (start > now) await sleep(start - now);
+  }
+
+  async request(url, { headers = {}, validateStatus } = {}) {
+    return axios.get(url, {
+      headers: { 'User-Agent': this.userAgent, ...headers },
+      responseType: 'text',
+      // Keep the raw body; callers decide how to parse it
+      transformResponse: data => data,
+      timeout: this.timeoutMs,
+      maxContentLength: FETCH_MAX_CONTENT_BYTES,
+      validateStatus
+    });
+  }
+
+  // Parsed robots.txt for the URL's origin, cached for ROBOTS_TTL_MS.
+  // A missing robots.txt (4xx) or one that can't be fetched allows everything.
+  getRobots(url) {
+    const { origin, host } = new URL(url);
+    const cached = this.robots.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < ROBOTS_TTL_MS) return cached.promise;
+
+    const promise = (async () => {
+      try {
+        await this.waitForHost(host);
+        const response = await this.request(`${origin}/robots.txt`, { validateStatus: status => status < 500 });
+        if (response.status >= 400) return { rules: [], crawlDelayMs: null };
+        return parseRobots(String(response.data || ''), this.robotsAgent);
+      } catch (error) {
+        console.warn(`Could not fetch robots.txt for ${origin}:`, error.message);
+        return { rules: [], crawlDelayMs: null };
+      }
+    })();
+    this.robots.set(origin, { fetchedAt: Date.now(), promise });
+    return promise;
+  }
+
+  async loadCache() {
+    if (this.cache) return;
+    if (!this.cacheLoading) {
+      this.cacheLoading = readJsonFile(this.cachePath, {})
+        .catch(error => {
+          console.error('Failed to read HTTP cache, starting empty:', error.message);
+          return {};
+        })
+        .then(entries => {
+          this.cache = new Map(Object.entries(entries));
+        });
+    }
+    await this.cacheLoading;
+  }
+
+  // Persist the conditional-GET cache, keeping only the most recent entries
+  async saveCache() {
+    if (!this.cache || !this.cacheDirty) return;
+    this.cacheDirty = false;
+    const entries = [...this.cache.entries()]
+      .sort((a, b) => b[1].storedAt.localeCompare(a[1].storedAt))
+      .slice(0, this.maxCacheEntries);
+    this.cache = new Map(entries);
+    try {
+      await writeJsonFile(this.cachePath, Object.fromEntries(entries));
+    } catch (error) {
+      console.error('Failed to save HTTP cache:', error.message);
+    }
+  }
+
+  // GET a URL politely. `parse(body, response)` turns a fresh response into the
+  // value that is returned (and cached when the server sent validators); when
+  // the server answers 304 Not Modified the cached value is returned instead.
+  // Resolves to { value, notModified }. Throws with code ROBOTS_DISALLOWED when
+  // robots.txt forbids the URL.
+  async get(url, { parse = body => body } = {}) {
+    const { host, pathname, search } = new URL(url);
+    const robots = await this.getRobots(url);
+    if (!isPathAllowed(robots.rules, `${pathname}${search}`)) {
+      throw httpError(`Disallowed by robots.txt: ${url}`, 'ROBOTS_DISALLOWED');
+    }
+    await this.loadCache();
+
+    return withRetries(async () => {
+      const cached = this.cache.get(url);
+      const headers = {};
+      if (cached?.etag) headers['If-None-Match'] = cached.etag;
+      if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+      await this.waitForHost(host, Math.max(this.hostDelayMs, robots.crawlDelayMs || 0));
+      const response = await this.request(url, {
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || (status === 304 && !!cached)
+      });
+      if (response.status === 304) {
+        cached.storedAt = new Date().toISOString();
+        this.cacheDirty = true;
+        return { value: cached.value, notModified: true };
+      }
+
+      let value;
+      try {
+        value = await parse(response.data, response);
+      } catch (error) {
+        // The page arrived; fetching it again won't make it parse
+        error.retryable = false;
+        throw error;
+      }
+      const etag = response.headers.etag;
+      const lastModified = response.headers['last-modified'];
+      if (etag || lastModified) {
+        this.cache.set(url, { etag, lastModified, storedAt: new Date().toISOString(), value });
+        this.cacheDirty = true;
+      }
+      return { value, notModified: false };
+    }, { retries: this.retries, label: `GET ${url}` });
+  }
+}
+
+const httpClient = new PoliteHttpClient();
+
+module.exports = {
+  httpClient,
+  PoliteHttpClient,
+  parseRobots,
+  isPathAllowed,
+  USER_AGENT
+};
@@ -0,0 +1,227 @@
+const { v4: uuidv4 } = require('uuid');
+const ragPipeline = require('./rag');
+const newsFetcher = require('./newsFetcher');
+const { sourceRegistry } = require('./sourceRegistry');
+const { parseSchedule } = require('./schedule');
+const { envNumber } = require('./env');
+
+// How many finished jobs to keep for GET /api/ingest/:jobId
+const INGEST_JOB_HISTORY = envNumber('INGEST_JOB_HISTORY', 50);
+const INGEST_DEFAULT_LIMIT = envNumber('INGEST_DEFAULT_LIMIT', 30, { min: 1 });
+// Scheduler: off unless enabled
+const INGEST_SCHEDULER_ENABLED = process.env.INGEST_SCHEDULER_ENABLED === 'true';
+
+// Jobs run one at a time in the order they were queued. A job looks like:
+// {
+//   id, status: 'queued' | 'running' | 'completed' | 'failed', trigger: 'api' | 'schedule',
+//   params: { limit, sources }, createdAt, startedAt, finishedAt, error,
+//   progress: { discovered, processed },
+//   totals: { extracted, indexed, duplicates, nearDuplicates, skipped, failed },
+//   articles: [{ url, title, source, status, error }],  // status: indexed | duplicate | skipped | failed
+//   sourceErrors: [{ source, error }]                      // feeds that couldn't be fetched
+// }
+class IngestionQueue {
+  constructor({ pipeline = ragPipeline, fetcher = newsFetcher, historySize = INGEST_JOB_HISTORY } = {}) {
+    this.pipeline = pipeline;
+    this.fetcher = fetcher;
+    this.historySize = historySize;
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = null;
+  }
+
+  enqueue({ limit = INGEST_DEFAULT_LIMIT, sources = null, trigger = 'api' } = {}) {
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      trigger,
+      params: { limit, sources },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      progress: { discovered: 0, processed: 0 },
+      totals: { extracted: 0, indexed: 0, duplicates: 0, nearDuplicates: 0, skipped: 0, failed: 0 },
+      articles: [],
+      sourceErrors: []
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.prune();
+    console.log(`Queued ingestion job ${job.id} (${trigger}, limit=${limit}${sources ? `, sources=${sources.join(', ')}` : ''})`);
+    setImmediate(() => this.drain());
+    return job;
+  }
+
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()].reverse();
+  }
+
+  // True if a queued or running job already covers the given source
+  hasActiveJobFor(sourceName) {
+    const covers = job => !job.params.sources || job.params.sources.includes(sourceName);
+    return (this.running && covers(this.running)) || this.pending.some(covers);
+  }
+
+  // Drop the oldest finished jobs beyond the history limit
+  prune() {
+    const finished = [...this.jobs.values()].filter(job => job.status === 'completed' || job.status === 'failed');
+    for (const job of finished.slice(0, Math.max(finished.length - this.historySize, 0))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  async drain() {
+    if (this.running) return;
+    while (this.pending.length) {
+      this.running = this.pending.shift();
+      await this.run(this.running);
+      this.running = null;
+      this.prune();
+    }
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    console.log(`\n=== Running ingestion job ${job.id} ===`);
+
+    try {
+      await this.pipeline.initialize();
+      const articles = await this.fetcher.fetchNews(job.params.limit, {
+        sources: job.params.sources,
+        skipUrl: url => this.pipeline.hasUrl(url),
+        onProgress: event => this.recordProgress(job, event)
+      });
+
+      if (articles.length) {
+        const result = await this.pipeline.addDocuments(articles);
+        job.totals.nearDuplicates = result.nearDuplicates;
+        const duplicateUrls = new Set(result.duplicateUrls);
+        for (const entry of job.articles) {
+          if (entry.status !== 'extracted') continue;
+          entry.status = duplicateUrls.has((entry.url || '').trim()) ? 'duplicate' : 'indexed';
+          job.totals[entry.status === 'duplicate' ? 'duplicates' : 'indexed']++;
+        }
+      }
+
+      job.status = 'completed';
+      console.log(`Ingestion job ${job.id} completed:`, job.totals);
+    } catch (error) {
+      console.error(`Ingestion job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+    job.finishedAt = new Date().toISOString();
+  }
+
+  recordProgress(job, event) {
+    if (event.type === 'source') {
+      job.progress.discovered += event.count;
+      return;
+    }
+    if (event.type === 'source_error') {
+      job.sourceErrors.push({ source: event.source, error: event.error });
+      return;
+    }
+    const { source, url, title, status, error } = event;
+    job.articles.push({ source, url, title, status, ...(error ? { error } : {}) });
+    job.progress.processed++;
+    if (status === 'extracted') job.totals.extracted++;
+    if (status === 'skipped') job.totals.skipped++;
+    if (status === 'failed') job.totals.failed++;
+  }
+}
+
+// Queues an ingestion job for each enabled source on its own schedule (the
+// source's `fetchInterval`, an interval like "30m" or a cron expression).
+class IngestionScheduler {
+  constructor({ queue, registry = sourceRegistry } = {}) {
+    this.queue = queue;
+    this.registry = registry;
+    this.started = false;
+    this.timers = new Map(); // source name -> { timer, nextRunAt, schedule }
+  }
+
+  async start() {
+    await this.registry.load();
+    this.started = true;
+    this.refresh();
+    console.log(`Ingestion scheduler started for ${this.timers.size} sources`);
+  }
+
+  stop() {
+    this.started = false;
+    for (const { timer } of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+  }
+
+  // Bring the timers in line with the registry after sources are added,
+  // removed, enabled/disabled or given a new fetchInterval
+  refresh() {
+    if (!this.started) return;
+    const enabled = new Map(this.registry.enabledSources().map(source => [source.name, source]));
+    for (const [name, entry] of this.timers) {
+      if (enabled.get(name)?.fetchInterval === entry.schedule) continue;
+      clearTimeout(entry.timer);
+      this.timers.delete(name);
+    }
+    for (const source of enabled.values()) {
+      if (!this.timers.has(source.name)) this.scheduleSource(source);
+    }
+  }
+
+  scheduleSource(source) {
+    const existing = this.timers.get(source.name);
+    if (existing) clearTimeout(existing.timer);
+
+    let schedule;
+    let nextRunAt;
+    try {
+      schedule = parseSchedule(source.fetchInterval);
+      nextRunAt = schedule.nextRun(new Date());
+    } catch (error) {
+      console.error(`Not scheduling source ${source.name}:`, error.message);
+      return;
+    }
+    // setTimeout can't wait longer than ~24.8 days; re-plan when it fires early
+    const delay = Math.min(nextRunAt.getTime() - Date.now(), 2 ** 31 - 1);
+    const timer = setTimeout(() => {
+      if (Date.now() >= nextRunAt.getTime()) this.trigger(source);
+      this.scheduleSource(source);
+    }, Math.max(delay, 0));
+    timer.unref();
+    this.timers.set(source.name, { timer, nextRunAt, schedule: schedule.spec });
+  }
+
+  trigger(source) {
+    if (this.queue.hasActiveJobFor(source.name)) {
+      console.log(`Skipping scheduled ingestion for ${source.name}: a job is already queued`);
+      return;
+    }
+    this.queue.enqueue({ sources: [source.name], trigger: 'schedule' });
+  }
+
+  getStatus() {
+    return [...this.timers.entries()].map(([source, { nextRunAt, schedule }]) => ({
+      source,
+      schedule,
+      nextRunAt: nextRunAt.toISOString()
+    }));
+  }
+}
+
+const ingestionQueue = new IngestionQueue();
+const ingestionScheduler = new IngestionScheduler({ queue: ingestionQueue });
+
+module.exports = {
+  ingestionQueue,
+  ingestionScheduler,
+  IngestionQueue,
+  IngestionScheduler,
+  INGEST_SCHEDULER_ENABLED
+};
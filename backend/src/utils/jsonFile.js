@@ -0,0 +1,38 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Pending write per file, so concurrent saves never interleave on disk
+const writeQueues = new Map();
+
+// Read and parse a JSON file; `fallback` is returned when the file doesn't exist
+async function readJsonFile(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return fallback;
+    throw e;
+  }
+}
+
+// Write JSON atomically (temp file + rename), creating the directory if needed.
+// The data is serialised immediately; the write is queued behind earlier ones.
+function writeJsonFile(filePath, data) {
+  const serialized = JSON.stringify(data);
+  const previous = writeQueues.get(filePath) || Promise.resolve();
+  const next = previous.catch(() => {}).then(async () => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, serialized);
+    await fs.rename(tmpPath, filePath);
+  });
+  writeQueues.set(filePath, next);
+  next.finally(() => {
+    if (writeQueues.get(filePath) === next) writeQueues.delete(filePath);
+  }).catch(() => {});
+  return next;
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile
+};
@@ -0,0 +1,302 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const axios = require('axios');
+const { analyze } = require('./bm25');
+const { splitSentences } = require('./chunker');
+const { withRetries } = require('./retry');
+const { toISODate } = require('./dates');
+const { envNumber } = require('./env');
+
+// Provider selection: the primary provider is tried first, then each fallback in
+// order. Providers: gemini | openai (any OpenAI-compatible endpoint) | extractive
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || (process.env.GEMINI_API_KEY ? 'gemini' : 'extractive')).toLowerCase();
+const LLM_FALLBACK_PROVIDERS = (process.env.LLM_FALLBACK_PROVIDERS ?? 'extractive')
+  .split(',')
+  .map(p => p.trim().toLowerCase())
+  .filter(Boolean);
+const LLM_TIMEOUT_MS = envNumber('LLM_TIMEOUT_MS', 60000, { min: 1 });
+const LLM_MAX_RETRIES = envNumber('LLM_MAX_RETRIES', 2);
+const LLM_TEMPERATURE = envNumber('LLM_TEMPERATURE');
+
+const GEMINI_MODEL = process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+const GEMINI_TIMEOUT_MS = envNumber('GEMINI_TIMEOUT_MS', LLM_TIMEOUT_MS, { min: 1 });
+
+// e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const OPENAI_TIMEOUT_MS = envNumber('OPENAI_TIMEOUT_MS', LLM_TIMEOUT_MS, { min: 1 });
+
+// Reject if `promise` hasn't settled within `ms`
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.timeout = true;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Thrown when the caller gives up on a generation through its AbortSignal
+function abortError() {
+  const error = new Error('Generation aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Reject as soon as `signal` aborts instead of waiting for `promise`
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(abortError());
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort));
+}
+
+// Every generator takes a request { prompt, question, sources, signal } and implements
+//   generate(request) -> Promise<string>
+//   stream(request)   -> async iterable of text pieces
+// `sources` are the retrieved documents ({ content, metadata }) the prompt was built from.
+// `signal` is an optional AbortSignal; once it fires, generation stops with an AbortError.
+
+class GeminiGenerator {
+  constructor({ apiKey = process.env.GEMINI_API_KEY, model = GEMINI_MODEL, timeoutMs = GEMINI_TIMEOUT_MS } = {}) {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini LLM provider');
+    this.name = 'gemini';
+    this.timeoutMs = timeoutMs;
+    const generationConfig = LLM_TEMPERATURE !== undefined ? { temperature: LLM_TEMPERATURE } : undefined;
+    this.model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model, generationConfig });
+  }
+
+  // The Gemini SDK can't cancel a request, so an abort just stops waiting for it
+  async generate({ prompt, signal }) {
+    const result = await withTimeout(abortable(this.model.generateContent(prompt), signal), this.timeoutMs, 'Gemini request');
+    const response = await result.response;
+    return response.text();
+  }
+
+  async *stream({ prompt, signal }) {
+    const result = await withTimeout(abortable(this.model.generateContentStream(prompt), signal), this.timeoutMs, 'Gemini stream');
+    const iterator = result.stream[Symbol.asyncIterator]();
+    for (;;) {
+      const { value, done } = await withTimeout(abortable(iterator.next(), signal), this.timeoutMs, 'Gemini stream');
+      if (done) return;
+      const piece = value.text();
+      if (piece) yield piece;
+    }
+  }
+}
+
+class OpenAICompatibleGenerator {
+  constructor({ baseUrl = OPENAI_BASE_URL, apiKey = OPENAI_API_KEY, model = OPENAI_MODEL, timeoutMs = OPENAI_TIMEOUT_MS } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  requestBody(prompt, stream) {
+    return {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream,
+      ...(LLM_TEMPERATURE !== undefined ? { temperature: LLM_TEMPERATURE } : {})
+    };
+  }
+
+  headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  async generate({ prompt, signal }) {
+    const resp = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.requestBody(prompt, false),
+      { headers: this.headers(), timeout: this.timeoutMs, signal }
+    );
+    return resp.data?.choices?.[0]?.message?.content || '';
+  }
+
+  // Parses the server-sent event stream of chat completion deltas
+  async *stream({ prompt, signal }) {
+    const resp = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      this.requestBody(prompt, true),
+      { headers: this.headers(), timeout: this.timeoutMs, responseType: 'stream', signal }
+    );
+    let buffer = '';
+    for await (const data of resp.data) {
+      buffer += data.toString();
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return;
+        const piece = JSON.parse(payload).choices?.[0]?.delta?.content;
+        if (piece) yield piece;
+      }
+    }
+  }
+}
+
+// Deterministic, offline generator: answers with the sentences of the top
+// source that overlap most with the question, cited as [1]. Used as the last-resort fallback
+// and for tests/evaluation. Without sources it returns an empty string.
+class ExtractiveGenerator {
+  constructor({ maxSentences = 2, maxSentenceChars = 300 } = {}) {
+    this.name = 'extractive';
+    this.maxSentences = maxSentences;
+    this.maxSentenceChars = maxSentenceChars;
+  }
+
+  async generate({ question = '', sources = [] }) {
+    const topDoc = sources[0];
+    if (!topDoc) return '';
+
+    const questionTerms = new Set(analyze(question));
+    const sentences = splitSentences(topDoc.content || '');
+    const best = sentences
+      .map((sentence, index) => ({
+        sentence,
+        index,
+        overlap: analyze(sentence).filter(term => questionTerms.has(term)).length
+      }))
+      .filter(s => s.overlap > 0)
+      .sort((a, b) => b.overlap - a.overlap || a.index - b.index)
+      .slice(0, this.maxSentences)
+      .sort((a, b) => a.index - b.index)
+      .map(s => (s.sentence.length > this.maxSentenceChars
+        ? `${s.sentence.substring(0, this.maxSentenceChars)}...`
+        : s.sentence));
+
+    const excerpt = best.length ? best.join(' ') : `${(topDoc.content || '').substring(0, 150)}...`;
+    const published = (toISODate(topDoc.metadata?.publishedAt) || '').slice(0, 10);
+    const outlet = [topDoc.metadata?.source, topDoc.metadata?.author, published].filter(Boolean).join(', ');
+    return `Based on the article "${topDoc.metadata?.title || ''}"${outlet ? ` (${outlet})` : ''}: ` +
+      `${excerpt} [1] ` +
+      `[Read more: ${topDoc.metadata?.url || 'No URL provided'}]`;
+  }
+
+  async *stream(request) {
+    yield await this.generate(request);
+  }
+}
+
+function createProvider(name) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiGenerator();
+    case 'openai':
+      return new OpenAICompatibleGenerator();
+    case 'extractive':
+      return new ExtractiveGenerator();
+    default:
+      throw new Error(`Unknown LLM provider '${name}' (expected gemini, openai or extractive)`);
+  }
+}
+
+// Tries each provider in turn, retrying transient failures with backoff before
+// moving on. Both methods resolve with { text, provider } naming the provider
+// that produced the answer. An aborted request (see `signal`) rejects with an
+// AbortError straight away rather than falling back.
+class GeneratorChain {
+  constructor(providers, { retries = LLM_MAX_RETRIES } = {}) {
+    if (!providers.length) throw new Error('At least one LLM provider is required');
+    this.providers = providers;
+    this.retries = retries;
+  }
+
+  get primary() {
+    return this.providers[0].name;
+  }
+
+  async generate(request) {
+    let lastError;
+    for (const provider of this.providers) {
+      try {
+        const text = await withRetries(
+          () => (request.signal?.aborted ? Promise.reject(abortError()) : provider.generate(request)),
+          { retries: this.retries, label: `${provider.name} generation` }
+        );
+        return { text, provider: provider.name };
+      } catch (error) {
+        if (request.signal?.aborted) throw abortError();
+        console.error(`LLM provider '${provider.name}' failed:`, error.response?.data || error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // Streams pieces to `onChunk`. A provider that fails before producing any
+  // text is retried and then skipped; once text has been sent, a failure ends
+  // the answer with what was generated so far.
+  async stream(request, onChunk) {
+    let lastError;
+    for (const provider of this.providers) {
+      let text = '';
+      try {
+        await withRetries(async () => {
+          // A cancelled HTTP call looks retryable; don't retry after an abort
+          if (request.signal?.aborted) throw abortError();
+          try {
+            for await (const piece of provider.stream(request)) {
+              if (request.signal?.aborted) throw abortError();
+              text += piece;
+              onChunk(piece);
+            }
+          } catch (error) {
+            // Retrying would repeat text the caller already has
+            if (text) error.retryable = false;
+            throw error;
+          }
+        }, { retries: this.retries, label: `${provider.name} stream` });
+        return { text, provider: provider.name };
+      } catch (error) {
+        if (request.signal?.aborted) {
+          const aborted = abortError();
+          aborted.partialText = text;
+          throw aborted;
+        }
+        console.error(`LLM provider '${provider.name}' failed while streaming:`, error.response?.data || error.message);
+        if (text) return { text, provider: provider.name };
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+function createGenerator({ provider = LLM_PROVIDER, fallbacks = LLM_FALLBACK_PROVIDERS } = {}) {
+  const names = [provider, ...fallbacks.filter(name => name !== provider)];
+  const providers = [];
+  for (const name of names) {
+    try {
+      providers.push(createProvider(name));
+    } catch (error) {
+      // A misconfigured primary is fatal; a misconfigured fallback is just skipped
+      if (name === provider) throw error;
+      console.warn(`Skipping LLM fallback '${name}': ${error.message}`);
+    }
+  }
+  console.log(`LLM providers: ${providers.map(p => p.name).join(' -> ')}`);
+  return new GeneratorChain(providers);
+}
+
+module.exports = {
+  createGenerator,
+  GeneratorChain,
+  GeminiGenerator,
+  OpenAICompatibleGenerator,
+  ExtractiveGenerator
+};
@@ -1,99 +1,352 @@
 const Parser = require('rss-parser');
 const { JSDOM } = require('jsdom');
 const { Readability } = require('@mozilla/readability');
-const axios = require('axios');
+const { sourceRegistry } = require('./sourceRegistry');
+const { httpClient } = require('./httpClient');
+const { extractPageMetadata } = require('./pageMetadata');
+const { toISODate } = require('./dates');
+const { envNumber } = require('./env');
 
 const parser = new Parser();
 
+// How many article pages are downloaded at once (per-host spacing still applies)
+const FETCH_CONCURRENCY = envNumber('FETCH_CONCURRENCY', 4, { min: 1 });
+// A sitemap index can list hundreds of child sitemaps; only the newest few are read
+const SITEMAP_MAX_CHILDREN = envNumber('SITEMAP_MAX_CHILDREN', 3);
+
+function stripHtml(html) {
+  return JSDOM.fragment(`<div>${html}</div>`).textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Attach authors/categories/summary only when the feed actually supplied them
+function withOptionalFields(item, { authors = [], categories = [], summary } = {}) {
+  return {
+    ...item,
+    ...(authors.length ? { authors } : {}),
+    ...(categories.length ? { categories } : {}),
+    ...(summary && summary.trim() ? { summary: summary.trim() } : {})
+  };
+}
+
+function unique(values) {
+  return [...new Set(values.map(v => String(v).trim()).filter(Boolean))];
+}
+
+// Text of the first descendant with the given local name (namespace prefixes ignored)
+function xmlText(element, localName) {
+  const found = element.getElementsByTagNameNS('*', localName)[0];
+  return found ? found.textContent.trim() : '';
+}
+
+// Round-robin merge: first item of each list, then the second of each, ...
+function interleave(lists) {
+  const merged = [];
+  for (let i = 0; lists.some(list => i < list.length); i++) {
+    for (const list of lists) {
+      if (i < list.length) merged.push(list[i]);
+    }
+  }
+  return merged;
+}
+
+function parseXml(xml) {
+  return new JSDOM(xml, { contentType: 'text/xml' }).window.document;
+}
+
 class NewsFetcher {
-  constructor() {
-    this.sources = [
-      {
-        name: 'BBC News',
-        url: 'http://feeds.bbci.co.uk/news/rss.xml',
-        type: 'rss'
-      },
-      {
-        name: 'Reuters',
-        url: 'http://feeds.reuters.com/reuters/topNews',
-        type: 'rss'
-      },
-      // Add more sources as needed
-    ];
+  constructor({ registry = sourceRegistry, http = httpClient } = {}) {
+    // Sources come from the registry (config/sources.json, editable via /api/sources)
+    this.registry = registry;
+    this.http = http;
+  }
+
+  // Feed bodies go through the polite client too, so an unchanged feed costs a 304
+  async fetchText(url) {
+    const { value } = await this.http.get(url);
+    return value;
+  }
+
+  // Every feed reader returns items shaped like
+  //   { title, url, publishedAt, source, authors, categories, summary }
+  // where source is the feed type, publishedAt is null when the feed gives no
+  // date and authors/categories/summary are only set when the feed supplies
+  // them. Readers throw when the feed can't be fetched
+  // or parsed, so the source's health records it.
+  async fetchFeedItems(source) {
+    switch (source.type) {
+      case 'rss':
+        return this.fetchRSSFeed(source.url);
+      case 'atom':
+        return this.fetchAtomFeed(source.url);
+      case 'jsonfeed':
+        return this.fetchJSONFeed(source.url);
+      case 'sitemap':
+        return this.fetchSitemap(source.url);
+      default:
+        throw new Error(`Unsupported source type '${source.type}'`);
+    }
   }
 
   async fetchRSSFeed(url) {
-    try {
-      const feed = await parser.parseURL(url);
-      return feed.items.map(item => ({
-        title: item.title,
-        url: item.link,
-        publishedAt: item.pubDate || new Date().toISOString(),
-        source: 'rss'
-      }));
-    } catch (error) {
-      console.error(`Error fetching RSS feed ${url}:`, error.message);
-      return [];
+    const feed = await parser.parseString(await this.fetchText(url));
+    return feed.items.map(item => withOptionalFields({
+      title: item.title,
+      url: item.link,
+      // rss-parser's isoDate covers dc:date but gives up on zones like "BST"
+      publishedAt: toISODate(item.pubDate) || toISODate(item.isoDate),
+      source: 'rss'
+    }, {
+      authors: unique([item.creator || item.author].filter(Boolean)),
+      // rss-parser gives plain strings, or { _: text, $: attrs } when a domain is set
+      categories: unique((item.categories || []).map(c => (typeof c === 'object' ? c._ : c)).filter(Boolean)),
+      summary: item.contentSnippet
+    }));
+  }
+
+  async fetchAtomFeed(url) {
+    const doc = parseXml(await this.fetchText(url));
+    if (doc.documentElement.localName !== 'feed') throw new Error('Not an Atom feed');
+
+    return [...doc.documentElement.getElementsByTagNameNS('*', 'entry')].map(entry => {
+      const links = [...entry.getElementsByTagNameNS('*', 'link')];
+      const link = links.find(l => (l.getAttribute('rel') || 'alternate') === 'alternate') || links[0];
+      const summary = entry.getElementsByTagNameNS('*', 'summary')[0];
+      return withOptionalFields({
+        title: xmlText(entry, 'title'),
+        url: link ? new URL(link.getAttribute('href'), url).href : '',
+        publishedAt: toISODate(xmlText(entry, 'published') || xmlText(entry, 'updated')),
+        source: 'atom'
+      }, {
+        authors: unique([...entry.getElementsByTagNameNS('*', 'author')].map(a => xmlText(a, 'name'))),
+        categories: unique([...entry.getElementsByTagNameNS('*', 'category')]
+          .map(c => c.getAttribute('label') || c.getAttribute('term') || '')),
+        summary: summary && (summary.getAttribute('type') === 'html'
+          ? stripHtml(summary.textContent)
+          : summary.textContent.trim())
+      });
+    }).filter(item => item.url);
+  }
+
+  // JSON Feed 1.0 and 1.1 (https://jsonfeed.org/version/1.1)
+  async fetchJSONFeed(url) {
+    const raw = await this.fetchText(url);
+    const feed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!feed || !Array.isArray(feed.items)) throw new Error('Not a JSON Feed: missing items array');
+
+    return feed.items.map(item => {
+      // 1.1 uses `authors`; 1.0 had a single `author`. Fall back to the feed's own authors.
+      const authors = item.authors || (item.author ? [item.author] : feed.authors || (feed.author ? [feed.author] : []));
+      const link = item.url || item.external_url || '';
+      return withOptionalFields({
+        title: item.title || '',
+        url: link ? new URL(link, url).href : '',
+        publishedAt: toISODate(item.date_published || item.date_modified),
+        source: 'jsonfeed'
+      }, {
+        authors: unique(authors.map(a => a && a.name).filter(Boolean)),
+        categories: unique(item.tags || []),
+        summary: item.summary
+      });
+    }).filter(item => item.url);
+  }
+
+  // Google News sitemaps (<news:news> entries) and plain sitemaps; a sitemap
+  // index is followed one level down to its most recent child sitemaps.
+  // Items come back newest first so a fetch limit keeps the latest articles.
+  async fetchSitemap(url) {
+    const items = await this.readSitemap(url, 0);
+    return items
+      .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+      .map(item => ({ ...item, publishedAt: item.publishedAt || null }));
+  }
+
+  // Entries of one sitemap (or index); publishedAt is '' when the entry has no date
+  async readSitemap(url, depth) {
+    const doc = parseXml(await this.fetchText(url));
+    const root = doc.documentElement.localName;
+
+    if (root === 'sitemapindex') {
+      if (depth > 0) return [];
+      const children = [...doc.getElementsByTagNameNS('*', 'sitemap')]
+        .map(entry => ({ loc: xmlText(entry, 'loc'), lastmod: toISODate(xmlText(entry, 'lastmod')) || '' }))
+        .filter(child => child.loc)
+        .sort((a, b) => b.lastmod.localeCompare(a.lastmod))
+        .slice(0, SITEMAP_MAX_CHILDREN);
+      const items = [];
+      for (const child of children) {
+        try {
+          items.push(...await this.readSitemap(child.loc, depth + 1));
+        } catch (error) {
+          console.error(`Error fetching child sitemap ${child.loc}:`, error.message);
+        }
+      }
+      return items;
     }
+    if (root !== 'urlset') throw new Error('Not a sitemap');
+
+    return [...doc.getElementsByTagNameNS('*', 'url')].map(entry => {
+      const news = entry.getElementsByTagNameNS('*', 'news')[0];
+      const publishedAt = toISODate(news && xmlText(news, 'publication_date')) || toISODate(xmlText(entry, 'lastmod'));
+      return withOptionalFields({
+        title: news ? xmlText(news, 'title') : '',
+        url: xmlText(entry, 'loc'),
+        publishedAt: publishedAt || '',
+        source: 'sitemap'
+      }, {
+        categories: news ? unique(xmlText(news, 'keywords').split(',')) : []
+      });
+    }).filter(item => item.url);
   }
 
+  // Download a page (robots.txt, rate limits, retries and the conditional-GET
+  // cache all apply) and pull the article out of it with Readability, along with
+  // the page's metadata (see pageMetadata.js).
+  // Throws when the page can't be fetched or holds no readable article.
   async extractArticleContent(url) {
-    try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+    const { value } = await this.http.get(url, {
+      parse: (html, response) => {
+        const contentType = response.headers['content-type'] || '';
+        if (contentType && !/html|xml/i.test(contentType)) throw new Error(`Not an HTML page (${contentType})`);
+        const dom = new JSDOM(html, { url });
+        try {
+          // Read the <head> metadata first: Readability rewrites the document
+          const meta = extractPageMetadata(dom.window.document, url);
+          const article = new Readability(dom.window.document).parse();
+          if (!article || !article.textContent || !article.textContent.trim()) {
+            throw new Error('No readable article content');
+          }
+          return {
+            ...meta,
+            text: article.textContent,
+            title: article.title,
+            excerpt: article.excerpt || meta.description,
+            length: article.length,
+            author: meta.author || (article.byline || '').trim() || undefined,
+            siteName: meta.siteName || article.siteName || undefined
+          };
+        } finally {
+          dom.window.close();
         }
-      });
-      
-      const dom = new JSDOM(response.data, { url });
-      const reader = new Readability(dom.window.document);
-      const article = reader.parse();
-      
-      return {
-        text: article.textContent,
-        title: article.title,
-        excerpt: article.excerpt,
-        length: article.length
-      };
-    } catch (error) {
-      console.error(`Error extracting content from ${url}:`, error.message);
-      return null;
-    }
+      }
+    });
+    return value;
   }
 
-  async fetchNews(limit = 50) {
-    const allArticles = [];
-    
-    for (const source of this.sources) {
-      if (allArticles.length >= limit) break;
-      
+  // Merge what the feed said about an article with what its page says. The
+  // result is what addDocuments indexes: `source` is the outlet (the page's
+  // site name, else the registry source name), `feed` the registry source and
+  // `feedType` the kind of feed it was listed in.
+  buildArticle(source, item, content) {
+    const categories = [...new Set([...(item.categories || []), ...(content.tags || []), ...source.categories]
+      .map(c => c.trim().toLowerCase())
+      .filter(Boolean))];
+    return {
+      ...item,
+      // Sitemaps often carry no headline; use the page's own
+      title: item.title || content.title,
+      text: `${content.title}\n\n${content.text}`,
+      contentLength: content.length,
+      source: content.siteName || source.name,
+      feed: source.name,
+      feedType: item.source,
+      author: content.author || (item.authors || []).join(', ') || undefined,
+      summary: item.summary || content.excerpt,
+      image: content.image,
+      canonicalUrl: content.canonicalUrl,
+      language: content.language || source.language,
+      section: content.section || (item.categories || [])[0],
+      categories,
+      // The page's own datePublished when the feed gave no date
+      publishedAt: item.publishedAt || content.publishedAt || null,
+      modifiedAt: content.modifiedAt
+    };
+  }
+
+  // options:
+  //   sources     - names of the sources to fetch (default: all enabled sources)
+  //   skipUrl     - predicate; matching articles are reported as skipped, not downloaded
+  //   concurrency - article downloads in flight at once (default FETCH_CONCURRENCY)
+  //   onProgress  - called with { type: 'source', source, count } once a feed is listed
+  //                 and { type: 'article', source, url, title, status, error } per article,
+  //                 where status is 'extracted', 'failed' or 'skipped'; a source that can't
+  //                 be fetched at all reports { type: 'source_error', source, error }
+  async fetchNews(limit = 50, options = {}) {
+    const { skipUrl = () => false, onProgress = () => {}, concurrency = FETCH_CONCURRENCY } = options;
+    await this.registry.load();
+    const sources = options.sources
+      ? options.sources.map(name => this.registry.get(name)).filter(Boolean)
+      : this.registry.enabledSources();
+    const stats = new Map(sources.map(source => [source.name, { items: 0, extracted: 0, failed: 0, error: null }]));
+
+    // List every feed first, then extract articles from all of them through one
+    // pool. Candidates alternate between sources so the pool spreads across hosts
+    // instead of queueing behind a single host's rate limit.
+    const listings = await Promise.all(sources.map(async source => {
+      const stat = stats.get(source.name);
       try {
-        let articles = [];
-        
-        if (source.type === 'rss') {
-          articles = await this.fetchRSSFeed(source.url);
-        }
-        
-        // Process articles to get full content
-        for (const article of articles) {
-          if (allArticles.length >= limit) break;
-          
+        const items = await this.fetchFeedItems(source);
+        stat.items = items.length;
+        onProgress({ type: 'source', source: source.name, count: items.length });
+        return items.map(article => ({ source, article }));
+      } catch (error) {
+        console.error(`Error processing source ${source.name}:`, error.message);
+        stat.error = error.message;
+        onProgress({ type: 'source_error', source: source.name, error: error.message });
+        return [];
+      }
+    }));
+
+    const seen = new Set();
+    const candidates = interleave(listings).filter(({ source, article }) => {
+      const event = { type: 'article', source: source.name, url: article.url, title: article.title };
+      if (skipUrl(article.url)) {
+        onProgress({ ...event, status: 'skipped' });
+        return false;
+      }
+      if (seen.has(article.url)) {
+        onProgress({ ...event, status: 'skipped', error: 'Listed by another source in this fetch' });
+        return false;
+      }
+      seen.add(article.url);
+      return true;
+    });
+
+    const allArticles = [];
+    let next = 0;
+    let inFlight = 0;
+    const worker = async () => {
+      while (next < candidates.length && allArticles.length + inFlight < limit) {
+        const { source, article } = candidates[next++];
+        const stat = stats.get(source.name);
+        const event = { type: 'article', source: source.name, url: article.url, title: article.title };
+        inFlight++;
+        try {
           const content = await this.extractArticleContent(article.url);
-          if (content) {
-            allArticles.push({
-              ...article,
-              text: `${content.title}\n\n${content.text}`,
-              contentLength: content.length
-            });
+          allArticles.push(this.buildArticle(source, article, content));
+          stat.extracted++;
+          onProgress({ ...event, status: 'extracted' });
+        } catch (error) {
+          if (error.code === 'ROBOTS_DISALLOWED') {
+            onProgress({ ...event, status: 'skipped', error: error.message });
+          } else {
+            console.error(`Error extracting content from ${article.url}:`, error.message);
+            stat.failed++;
+            onProgress({ ...event, status: 'failed', error: error.message });
           }
-          
-          // Add small delay to avoid being blocked
-          await new Promise(resolve => setTimeout(resolve, 1000));
+        } finally {
+          inFlight--;
         }
-      } catch (error) {
-        console.error(`Error processing source ${source.name}:`, error.message);
       }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, candidates.length)) }, worker));
+
+    for (const source of sources) {
+      const { items, extracted, failed, error } = stats.get(source.name);
+      // A feed that lists articles none of which can be read is as broken as one that errors
+      const extractionError = failed && !extracted ? `All ${failed} attempted articles failed to extract` : null;
+      await this.registry.recordFetch(source.name, { items, extracted, error: error || extractionError });
     }
+    await this.http.saveCache();
     
     return allArticles;
   }
@@ -0,0 +1,134 @@
+const { toISODate } = require('./dates');
+
+// Article metadata from a news page's <head>: OpenGraph / article:* meta tags,
+// JSON-LD NewsArticle blocks, <link rel="canonical"> and <html lang>.
+// JSON-LD mostly wins over meta tags where both are present since publishers
+// fill it in for search engines and it tends to be the most precise.
+
+// schema.org types that describe a news story
+const ARTICLE_TYPE = /(^|:)(NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BackgroundNewsArticle|Article|BlogPosting|LiveBlogPosting)$/;
+
+function clean(value) {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.replace(/\s+/g, ' ').trim();
+  return trimmed || undefined;
+}
+
+function asArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function resolveUrl(value, base) {
+  const url = clean(value);
+  if (!url) return undefined;
+  try {
+    const resolved = new URL(url, base);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function isoDate(value) {
+  return toISODate(clean(value));
+}
+
+// "en_GB", "en-gb", "EN" -> "en"
+function primaryLanguage(value) {
+  const text = clean(value);
+  const match = text && /^([a-z]{2,3})(?:[-_]|$)/i.exec(text);
+  return match ? match[1].toLowerCase() : undefined;
+}
+
+// Names from a schema.org author/publisher value: a string, { name }, or a list
+function names(value) {
+  return asArray(value)
+    .map(entry => (typeof entry === 'string' ? entry : entry && entry.name))
+    .map(clean)
+    .filter(name => name && !/^https?:\/\//i.test(name));
+}
+
+function keywords(value) {
+  return asArray(value)
+    .flatMap(entry => (typeof entry === 'string' ? entry.split(',') : []))
+    .map(clean)
+    .filter(Boolean);
+}
+
+function imageUrl(value, base) {
+  for (const entry of asArray(value)) {
+    const url = resolveUrl(typeof entry === 'string' ? entry : entry && (entry.url || entry.contentUrl), base);
+    if (url) return url;
+  }
+  return undefined;
+}
+
+// All meta tag values for a property/name, in document order
+function metaValues(document, key) {
+  return [...document.querySelectorAll(`meta[property="${key}"], meta[name="${key}"]`)]
+    .map(meta => clean(meta.getAttribute('content')))
+    .filter(Boolean);
+}
+
+// First JSON-LD object typed as an article, looking inside arrays and @graph
+function findJsonLdArticle(document) {
+  const candidates = [];
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    let data;
+    try {
+      data = JSON.parse(script.textContent);
+    } catch (e) {
+      continue; // Malformed JSON-LD is common; ignore it
+    }
+    const queue = asArray(data);
+    while (queue.length) {
+      const node = queue.shift();
+      if (!node || typeof node !== 'object') continue;
+      if (node['@graph']) queue.push(...asArray(node['@graph']));
+      if (asArray(node['@type']).some(type => ARTICLE_TYPE.test(type))) candidates.push(node);
+    }
+  }
+  // Prefer the specific news types over a generic Article/BlogPosting
+  return candidates.find(node => asArray(node['@type']).some(type => /NewsArticle$/.test(type))) ||
+    candidates[0] || null;
+}
+
+// Returns { title, description, author, siteName, image, canonicalUrl, language,
+// section, tags, publishedAt, modifiedAt } with missing fields left undefined.
+// Must run before Readability, which rewrites the document it is given.
+function extractPageMetadata(document, pageUrl) {
+  const ld = findJsonLdArticle(document) || {};
+  const meta = key => metaValues(document, key)[0];
+  const canonical = document.querySelector('link[rel="canonical"]');
+  const mainEntity = ld.mainEntityOfPage && (ld.mainEntityOfPage['@id'] || ld.mainEntityOfPage);
+
+  const authors = names(ld.author);
+  if (!authors.length) authors.push(...names(metaValues(document, 'author')), ...names(metaValues(document, 'article:author')));
+
+  const tags = keywords(ld.keywords);
+  if (!tags.length) tags.push(...metaValues(document, 'article:tag'), ...keywords(meta('keywords')), ...keywords(meta('news_keywords')));
+
+  return {
+    title: clean(ld.headline) || meta('og:title'),
+    description: clean(ld.description) || meta('og:description') || meta('description'),
+    author: authors.length ? [...new Set(authors)].join(', ') : undefined,
+    // og:site_name is the outlet's display name ("BBC News"); publisher is often the parent company
+    siteName: meta('og:site_name') || names(ld.publisher)[0] || meta('application-name'),
+    image: imageUrl(ld.image, pageUrl) || resolveUrl(meta('og:image'), pageUrl) || resolveUrl(meta('twitter:image'), pageUrl),
+    canonicalUrl: resolveUrl(canonical && canonical.getAttribute('href'), pageUrl) ||
+      resolveUrl(meta('og:url'), pageUrl) ||
+      resolveUrl(typeof mainEntity === 'string' ? mainEntity : ld.url, pageUrl),
+    language: primaryLanguage(ld.inLanguage) ||
+      primaryLanguage(document.documentElement.getAttribute('lang')) ||
+      primaryLanguage(meta('og:locale')),
+    section: clean(asArray(ld.articleSection)[0]) || meta('article:section'),
+    tags: [...new Set(tags)],
+    publishedAt: isoDate(ld.datePublished) || isoDate(meta('article:published_time')),
+    modifiedAt: isoDate(ld.dateModified) || isoDate(meta('article:modified_time'))
+  };
+}
+
+module.exports = {
+  extractPageMetadata
+};
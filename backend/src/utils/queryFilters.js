@@ -0,0 +1,198 @@
+const { parseTimestamp } = require('./dates');
+
+// Retrieval filters for chat queries:
+//   { publishedAfter, publishedBefore, sources: [...], categories: [...], language }
+// Filters are turned into a Chroma-style `where` clause that the vector stores
+// and the in-memory BM25 leg both evaluate. Chroma can only compare numbers and
+// match exact values, so every chunk also carries derived filter keys (see
+// filterMetadata): a numeric publish time, outlet/feed keys (see outletKey) and
+// one boolean flag per category.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIT_MS = { hour: 60 * 60 * 1000, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS, year: 365 * DAY_MS };
+const WORD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, ten: 10, few: 3, couple: 2 };
+const FILTER_KEYS = ['publishedAfter', 'publishedBefore', 'sources', 'categories', 'language'];
+
+const lower = value => String(value).trim().toLowerCase();
+
+// Comparable form of an outlet or feed name: hosts and URLs
+// ("https://www.bbc.com/news") become the bare host ("bbc.com"), anything else
+// ("BBC News") is lowercased
+function outletKey(value) {
+  const text = lower(value);
+  const match = /^(?:https?:\/\/)?(?:www\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/:?#]|$)/.exec(text);
+  return match ? match[1] : text;
+}
+
+function categoryKey(category) {
+  return `category_${lower(category).replace(/[^\p{L}\p{N}]+/gu, '_')}`;
+}
+
+// Derived keys stored alongside a chunk's metadata so filters can match it
+function filterMetadata(metadata) {
+  const keys = {};
+  const publishedTs = parseTimestamp(metadata.publishedAt);
+  if (publishedTs !== null) keys.publishedTs = publishedTs;
+  if (metadata.source) keys.sourceKey = outletKey(metadata.source);
+  if (metadata.feed) keys.feedKey = outletKey(metadata.feed);
+  const categories = String(metadata.categories || '').split(',');
+  if (metadata.section) categories.push(metadata.section);
+  for (const category of categories) {
+    if (category.trim()) keys[categoryKey(category)] = true;
+  }
+  return keys;
+}
+
+// Metadata as shown to clients, without the derived filter keys
+function stripFilterKeys(metadata) {
+  const visible = {};
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (key === 'sourceKey' || key === 'feedKey' || key.startsWith('category_')) continue;
+    visible[key] = value;
+  }
+  return visible;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return {};
+  const date = new Date(typeof value === 'number' ? value : String(value).trim());
+  if (Number.isNaN(date.getTime())) return { error: `${name} must be a date, got '${value}'` };
+  return { value: date.toISOString() };
+}
+
+function stringList(value, name) {
+  if (value === undefined || value === null) return {};
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === 'string' && item.trim())) {
+    return { error: `${name} must be a string or an array of strings` };
+  }
+  return { value: list.map(item => item.trim()) };
+}
+
+// Validate filters from a request body. Returns { filters } (only the fields
+// that were given) or { error }.
+function normalizeFilters(input) {
+  if (input === undefined || input === null) return { filters: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'filters must be an object' };
+  const unknown = Object.keys(input).filter(key => !FILTER_KEYS.includes(key));
+  if (unknown.length) return { error: `Unknown filters: ${unknown.join(', ')} (expected ${FILTER_KEYS.join(', ')})` };
+
+  const filters = {};
+  for (const name of ['publishedAfter', 'publishedBefore']) {
+    const { value, error } = parseDate(input[name], name);
+    if (error) return { error };
+    if (value) filters[name] = value;
+  }
+  if (filters.publishedAfter && filters.publishedBefore && filters.publishedAfter >= filters.publishedBefore) {
+    return { error: 'publishedAfter must be earlier than publishedBefore' };
+  }
+  for (const name of ['sources', 'categories']) {
+    const { value, error } = stringList(input[name], name);
+    if (error) return { error };
+    if (value && value.length) filters[name] = value;
+  }
+  if (input.language !== undefined && input.language !== null) {
+    const match = typeof input.language === 'string' && /^([a-z]{2,3})(?:[-_]|$)/i.exec(input.language.trim());
+    if (!match) return { error: 'language must be a language code such as "en"' };
+    filters.language = match[1].toLowerCase();
+  }
+  return { filters };
+}
+
+function hasFilters(filters) {
+  return !!filters && Object.keys(filters).some(key => FILTER_KEYS.includes(key));
+}
+
+// Chroma `where` clause for the filters, or undefined when there are none.
+// `sourceAliases(value)` lists every outlet key a source filter value stands
+// for (see SourceRegistry.outletAliases); by default just its own key.
+function buildWhere(filters = {}, { sourceAliases = value => [outletKey(value)] } = {}) {
+  const clauses = [];
+  const anyOf = options => (options.length === 1 ? options[0] : { $or: options });
+
+  if (filters.publishedAfter) clauses.push({ publishedTs: { $gte: Date.parse(filters.publishedAfter) } });
+  if (filters.publishedBefore) clauses.push({ publishedTs: { $lt: Date.parse(filters.publishedBefore) } });
+  if (filters.sources && filters.sources.length) {
+    // A source filter matches the outlet ("BBC News", "bbc.com") or the feed it came from
+    const names = [...new Set(filters.sources.flatMap(sourceAliases))];
+    clauses.push(anyOf([{ sourceKey: { $in: names } }, { feedKey: { $in: names } }]));
+  }
+  if (filters.categories && filters.categories.length) {
+    clauses.push(anyOf(filters.categories.map(category => ({ [categoryKey(category)]: true }))));
+  }
+  if (filters.language) clauses.push({ language: filters.language });
+
+  if (!clauses.length) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+function startOfDay(date) {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  return start;
+}
+
+// Weeks start on Monday
+function startOfWeek(date) {
+  const start = startOfDay(date);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+// Date range implied by a time expression in the question ("yesterday",
+// "last week", "past 3 days", "this month", ...). Calendar phrases ("last week")
+// cover the whole previous period; "past"/"last N" phrases are rolling windows
+// ending now. Returns { publishedAfter, publishedBefore?, expression } or null.
+function inferTimeFilter(text, now = new Date()) {
+  const query = String(text || '').toLowerCase();
+  const range = (after, before, expression) => ({
+    publishedAfter: after.toISOString(),
+    ...(before ? { publishedBefore: before.toISOString() } : {}),
+    expression
+  });
+
+  let match = /\b(?:past|last|previous)\s+(\d+|an?|one|two|three|four|five|six|seven|ten|few|couple(?: of)?)\s+(hour|day|week|month|year)s?\b/.exec(query);
+  if (match) {
+    const count = Number(match[1]) || WORD_NUMBERS[match[1].replace(' of', '')];
+    return range(new Date(now.getTime() - count * UNIT_MS[match[2]]), null, match[0]);
+  }
+  match = /\b(?:past|this past)\s+(hour|day|week|month|year)\b/.exec(query) || /\blast\s+(24 hours)\b/.exec(query);
+  if (match) {
+    const unit = match[1] === '24 hours' ? 'day' : match[1];
+    return range(new Date(now.getTime() - UNIT_MS[unit]), null, match[0]);
+  }
+
+  const today = startOfDay(now);
+  if ((match = /\b(today|tonight|this morning|this afternoon|this evening)\b/.exec(query))) {
+    return range(today, null, match[0]);
+  }
+  if ((match = /\byesterday\b/.exec(query))) {
+    return range(new Date(today.getTime() - DAY_MS), today, match[0]);
+  }
+  if ((match = /\bthis week\b/.exec(query))) return range(startOfWeek(now), null, match[0]);
+  if ((match = /\b(?:last|previous) week\b/.exec(query))) {
+    const week = startOfWeek(now);
+    const previous = new Date(week);
+    previous.setDate(previous.getDate() - 7);
+    return range(previous, week, match[0]);
+  }
+  if ((match = /\bthis month\b/.exec(query))) return range(new Date(now.getFullYear(), now.getMonth(), 1), null, match[0]);
+  if ((match = /\b(?:last|previous) month\b/.exec(query))) {
+    return range(new Date(now.getFullYear(), now.getMonth() - 1, 1), new Date(now.getFullYear(), now.getMonth(), 1), match[0]);
+  }
+  if ((match = /\bthis year\b/.exec(query))) return range(new Date(now.getFullYear(), 0, 1), null, match[0]);
+  if ((match = /\b(?:last|previous) year\b/.exec(query))) {
+    return range(new Date(now.getFullYear() - 1, 0, 1), new Date(now.getFullYear(), 0, 1), match[0]);
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeFilters,
+  hasFilters,
+  buildWhere,
+  inferTimeFilter,
+  filterMetadata,
+  stripFilterKeys,
+  outletKey
+};
@@ -1,348 +1,828 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const axios = require('axios');
-
-// Initialize Google Gemini for text generation
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-// Using the correct model name for Gemini API
-const model = genAI.getGenerativeModel({ model: 'gemini-1.5-pro' });
-
-// Embeddings + Vector DB configuration
-const JINA_API_KEY = process.env.JINA_API_KEY || process.env.JINA_EMBEDDINGS_API_KEY;
-const JINA_MODEL = process.env.JINA_MODEL || 'jina-embeddings-v2-base-en';
-const CHROMA_URL = (process.env.CHROMA_DB_URL || '').replace(/\/$/, '');
-const CHROMA_COLLECTION = process.env.CHROMA_COLLECTION || 'news_articles';
-// Optional: Chroma Cloud authentication
-const CHROMA_API_KEY = process.env.CHROMA_API_KEY || process.env.CHROMA_CLOUD_API_KEY;
-const CHROMA_TENANT = process.env.CHROMA_TENANT;
-const CHROMA_DATABASE = process.env.CHROMA_DATABASE;
-
-function chromaHeaders() {
-  const headers = {};
-  if (CHROMA_API_KEY) headers['Authorization'] = `Bearer ${CHROMA_API_KEY}`;
-  if (CHROMA_TENANT) headers['x-chroma-tenant'] = CHROMA_TENANT;
-  if (CHROMA_DATABASE) headers['x-chroma-database'] = CHROMA_DATABASE;
-  return headers;
+const crypto = require('crypto');
+const path = require('path');
+const { chunkText } = require('./chunker');
+const { BM25Index, analyze } = require('./bm25');
+const { createEmbeddingProvider } = require('./embeddings');
+const { createGenerator } = require('./llm');
+const { createVectorStore, matchesWhere } = require('./vectorStore');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { canonicalizeUrl, trustedCanonicalUrl, minhashSignature, NearDuplicateIndex } = require('./dedupe');
+const { buildWhere, hasFilters, inferTimeFilter, filterMetadata, stripFilterKeys } = require('./queryFilters');
+const { parseTimestamp, toISODate } = require('./dates');
+const { createReranker, selectWithMMR, RERANK_CANDIDATES } = require('./reranker');
+const { attachCitations } = require('./citations');
+const { sourceRegistry } = require('./sourceRegistry');
+const { createGroundingChecker, verifyAnswer } = require('./grounding');
+const { envNumber } = require('./env');
+
+// The in-memory corpus (BM25 documents + seen URLs) is snapshotted here after
+// every ingestion and reloaded on startup
+const CORPUS_SNAPSHOT_PATH = process.env.CORPUS_SNAPSHOT_PATH ||
+  path.join(__dirname, '../../data/corpus/corpus.json');
+// Page size used when scanning the vector store on startup
+const VECTOR_STORE_SCAN_BATCH = 1000;
+
+// Conversation history: how many prior messages go into the prompt, and how much of each
+const HISTORY_WINDOW = envNumber('RAG_HISTORY_WINDOW', 6, { min: 1 });
+const HISTORY_MESSAGE_CHARS = envNumber('RAG_HISTORY_MESSAGE_CHARS', 500);
+
+// Articles put in the context for each question
+const TOP_K = envNumber('RAG_TOP_K', 3, { min: 1 });
+
+// Retrieval works on chunks; this many chunks are fetched per requested article
+// (at least RERANK_CANDIDATES when a reranker is on) and at most
+// RAG_CHUNKS_PER_SOURCE of them are kept for each article
+const CHUNK_CANDIDATE_MULTIPLIER = envNumber('RAG_CHUNK_CANDIDATE_MULTIPLIER', 4, { min: 1 });
+const CHUNKS_PER_SOURCE = envNumber('RAG_CHUNKS_PER_SOURCE', 3, { min: 1 });
+
+// Hybrid retrieval: vector and BM25 rankings are merged with reciprocal rank
+// fusion, score = sum(weight / (RRF_K + rank)). A weight of 0 disables that leg.
+const RRF_K = envNumber('RAG_RRF_K', 60);
+const VECTOR_WEIGHT = envNumber('RAG_VECTOR_WEIGHT', 1);
+const BM25_WEIGHT = envNumber('RAG_BM25_WEIGHT', 1);
+
+// Reranking (see reranker.js): the reranker's score is blended with the fused
+// first-stage score rescaled to 0..1, score = w * rerank + (1 - w) * firstStage
+const RERANK_WEIGHT = envNumber('RERANK_WEIGHT', 0.4);
+// MMR diversity: the context gets RAG_MMR_CONTEXT_CHUNKS chunks (default 2 per
+// article) picked for relevance minus redundancy, weighted by RAG_MMR_LAMBDA
+const MMR_ENABLED = process.env.RAG_MMR === 'true';
+const MMR_LAMBDA = envNumber('RAG_MMR_LAMBDA', 0.7);
+const MMR_CONTEXT_CHUNKS = envNumber('RAG_MMR_CONTEXT_CHUNKS', 0);
+
+// Articles whose content fingerprints agree at least this much (estimated
+// Jaccard similarity of their word shingles) are treated as the same story
+const DEDUPE_SIMILARITY_THRESHOLD = envNumber('DEDUPE_SIMILARITY_THRESHOLD', 0.6);
+
+// Recency: fused chunk scores are blended with an exponential decay on the
+// article's age, score = (1 - w) * relevance + w * 0.5^(ageHours / halfLife),
+// where relevance is the fused score rescaled to 0..1 across the candidates.
+// A weight of 0 ranks purely by relevance.
+const RECENCY_WEIGHT = envNumber('RAG_RECENCY_WEIGHT', 0.2);
+const RECENCY_HALF_LIFE_HOURS = envNumber('RAG_RECENCY_HALF_LIFE_HOURS', 72, { min: 1 });
+const HOUR_MS = 60 * 60 * 1000;
+
+// Turn time expressions in questions ("yesterday", "last week") into a date
+// filter unless the request says otherwise. Questions whose inferred range
+// matches nothing are answered from the whole archive (see retrieveWithFilters),
+// with the answer saying so (see relaxedFilterNotice).
+const INFER_TIME_FILTERS = process.env.RAG_INFER_TIME_FILTERS !== 'false';
+
+// Leading sentence for answers drawn from outside the period the question named
+function relaxedFilterNotice(expression) {
+  return `I couldn't find any articles from ${expression}, so this answer is based on articles from other dates.`;
 }
 
-// Simple text processing utilities
-function tokenize(text) {
-  if (!text) return [];
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s]/g, ' ') // Remove punctuation
-    .split(/\s+/)
-    .filter(word => word.length > 2); // Remove short tokens
+// Put `notice` in its own paragraph before the answer, moving the offsets of
+// citations and checked sentences along with the text
+function prependNotice(notice, { answer, citations, grounding }) {
+  if (!notice) return { answer, citations, grounding };
+  const shift = notice.length + 2;
+  const move = span => ({ ...span, start: span.start + shift, end: span.end + shift });
+  return {
+    answer: `${notice}\n\n${answer}`,
+    citations: citations.map(move),
+    grounding: grounding && { ...grounding, sentences: grounding.sentences.map(move) }
+  };
 }
 
-function getWordFreq(tokens) {
-  return tokens.reduce((freq, word) => {
-    freq[word] = (freq[word] || 0) + 1;
-    return freq;
-  }, {});
+// The question without an inferred time expression, so "last week" is used as
+// a date range rather than matched as words. Unchanged if nothing else is left.
+function withoutTimeExpression(text, expression) {
+  const escaped = expression.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const stripped = text.replace(new RegExp(`\\b${escaped}\\b`, 'i'), ' ').replace(/\s+/g, ' ').trim();
+  return stripped || text;
 }
 
-function cosineSimilarity(vecA, vecB) {
-  const words = new Set([...Object.keys(vecA), ...Object.keys(vecB)]);
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-
-  for (const word of words) {
-    const a = vecA[word] || 0;
-    const b = vecB[word] || 0;
-    dotProduct += a * b;
-    normA += a * a;
-    normB += b * b;
+// Keep the last few user/assistant turns, truncating long messages
+function trimHistory(history) {
+  if (!Array.isArray(history)) return [];
+  return history
+    .filter(m => m && typeof m.content === 'string' && (m.role === 'user' || m.role === 'assistant'))
+    .slice(-HISTORY_WINDOW)
+    .map(m => ({
+      role: m.role,
+      content: m.content.length > HISTORY_MESSAGE_CHARS
+        ? `${m.content.substring(0, HISTORY_MESSAGE_CHARS)}...`
+        : m.content
+    }));
+}
+
+function formatHistory(history) {
+  return history
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
+    .join('\n');
+}
+
+// Stable id for an article so its chunks can be grouped back together
+function articleIdFor(doc) {
+  const key = (doc.url || '').trim() || `${doc.title || ''}\n${doc.text || ''}`;
+  return crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+// Merge ranked hit lists ([{ hits: [{ id, content, metadata }], weight }]) into
+// a single ranking. Each hit's fused score is the sum over lists of
+// weight / (RRF_K + rank), so agreement between retrievers wins.
+function reciprocalRankFusion(rankings, rrfK = RRF_K) {
+  const fused = new Map();
+  for (const { hits, weight } of rankings) {
+    if (!weight) continue;
+    hits.forEach((hit, rank) => {
+      const entry = fused.get(hit.id) || { ...hit, score: 0 };
+      entry.score += weight / (rrfK + rank + 1);
+      fused.set(hit.id, entry);
+    });
   }
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Fused score of each hit rescaled to 0..1 across the list
+function normalizedScores(hits) {
+  const scores = hits.map(hit => hit.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  return scores.map(score => (max > min ? (score - min) / (max - min) : 1));
+}
+
+// Re-rank fused hits with the recency blend described at RECENCY_WEIGHT. Each
+// hit keeps its `relevance` and `recency` components alongside the new score.
+function applyRecency(hits, { weight = RECENCY_WEIGHT, halfLifeHours = RECENCY_HALF_LIFE_HOURS, now = Date.now() } = {}) {
+  if (!weight || !hits.length) return hits;
+  const relevances = normalizedScores(hits);
+  return hits
+    .map((hit, i) => {
+      const relevance = relevances[i];
+      const publishedTs = hit.metadata?.publishedTs ?? parseTimestamp(hit.metadata?.publishedAt);
+      // Undated articles get no recency credit
+      const ageHours = publishedTs === null ? Infinity : Math.max(0, now - publishedTs) / HOUR_MS;
+      const recency = Math.pow(0.5, ageHours / halfLifeHours);
+      return { ...hit, score: (1 - weight) * relevance + weight * recency, relevance, recency };
+    })
+    .sort((a, b) => b.score - a.score);
+}
 
-  return normA === 0 || normB === 0
-    ? 0
-    : dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+// "2025-09-16 15:42 UTC", or '' for a missing or unparseable date
+function formatPublished(value) {
+  const iso = toISODate(value);
+  return iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : '';
+}
+
+// Group ranked chunk hits ({ content, metadata, score }) back into articles.
+// Articles keep the rank of their best chunk; their matching passages are
+// ordered as they appear in the article and joined into `content`. Near-duplicate
+// articles share a clusterId and only the best-ranked one of them is kept.
+function groupChunksByArticle(hits, k) {
+  const groups = new Map();
+  for (const hit of hits) {
+    const meta = hit.metadata || {};
+    const articleKey = meta.articleId || meta.url || hit.content;
+    const key = meta.clusterId || articleKey;
+    if (!groups.has(key)) {
+      if (groups.size >= k) continue;
+      const { chunkIndex, chunkCount, ...articleMeta } = meta;
+      groups.set(key, { articleKey, metadata: stripFilterKeys(articleMeta), score: hit.score, chunks: [] });
+    }
+    const group = groups.get(key);
+    if (group.articleKey !== articleKey || group.chunks.length >= CHUNKS_PER_SOURCE) continue;
+    group.chunks.push({ chunkIndex: meta.chunkIndex ?? 0, content: hit.content, score: hit.score });
+  }
+
+  return [...groups.values()].map(group => {
+    const chunks = group.chunks.sort((a, b) => a.chunkIndex - b.chunkIndex);
+    return {
+      content: chunks.map(c => c.content).join(' ... '),
+      metadata: group.metadata,
+      score: group.score,
+      chunks
+    };
+  });
+}
+
+// Outlet name for articles that don't carry one: the URL's host without "www."
+function outletFromUrl(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Article-level metadata stored on every chunk. Vector stores only accept
+// scalar values, so category lists are joined with commas and empty fields
+// (including an unknown publish date) are left out. The derived keys that
+// filters match on are added too.
+function articleMetadata(doc) {
+  const metadata = {
+    title: doc.title || '',
+    url: doc.url || '',
+    source: doc.source || outletFromUrl(doc.url) || 'unknown'
+  };
+  const optional = {
+    publishedAt: toISODate(doc.publishedAt),
+    author: doc.author,
+    feed: doc.feed,
+    image: doc.image,
+    canonicalUrl: trustedCanonicalUrl(doc.url, doc.canonicalUrl),
+    language: doc.language,
+    section: doc.section,
+    categories: Array.isArray(doc.categories) ? doc.categories.join(',') : doc.categories
+  };
+  for (const [key, value] of Object.entries(optional)) {
+    if (typeof value === 'string' && value.trim()) metadata[key] = value.trim();
+  }
+  return { ...metadata, ...filterMetadata(metadata) };
 }
 
 class RAGPipeline {
   constructor() {
     this.documents = [];
-    this.documentVectors = [];
+    this.documentsById = new Map();
+    this.bm25 = new BM25Index();
     this.initialized = false;
-    // Track seen URLs to avoid duplicates across multiple ingestions
+    this.initializing = null;
+    // Track seen URLs (canonicalised) to avoid duplicates across multiple ingestions
     this.urlSet = new Set();
-    // Chroma state
-    this.collectionId = null; // will store resolved collection id
+    // Content fingerprints of every article, for near-duplicate detection, and
+    // the resulting story clusters: clusterId -> Map(articleId -> { source, title, url, publishedAt })
+    this.nearDuplicates = new NearDuplicateIndex({ threshold: DEDUPE_SIMILARITY_THRESHOLD });
+    this.clusters = new Map();
+    this.articleClusters = new Map(); // articleId -> clusterId
+    this.embedder = createEmbeddingProvider();
+    this.vectorStore = createVectorStore({
+      embedding: { provider: this.embedder.name, model: this.embedder.model }
+    });
+    this.generator = createGenerator();
+    this.reranker = createReranker({ generator: this.generator, embedder: this.embedder });
+    this.groundingChecker = createGroundingChecker({ generator: this.generator });
   }
 
+  // Restores the corpus from the last snapshot, then merges in whatever the
+  // vector store holds (chunks and their URLs) so that ingestion stays
+  // idempotent across restarts even if the snapshot is missing or stale.
   async initialize() {
     if (this.initialized) return true;
+    if (!this.initializing) {
+      this.initializing = this.loadCorpus()
+        .then(() => {
+          this.initialized = true;
+          const stats = this.getStats();
+          console.log(`Initialized RAG pipeline with ${stats.documents} articles (${stats.chunks} chunks)`);
+        })
+        .finally(() => { this.initializing = null; });
+    }
+    await this.initializing;
+    return true;
+  }
+
+  async loadCorpus() {
+    try {
+      const snapshot = await readJsonFile(CORPUS_SNAPSHOT_PATH);
+      if (snapshot) {
+        for (const doc of snapshot.documents || []) this.addToCorpus(doc);
+        for (const url of snapshot.urls || []) this.urlSet.add(canonicalizeUrl(url));
+        for (const [articleId, signature] of Object.entries(snapshot.fingerprints || {})) {
+          this.nearDuplicates.add(articleId, signature);
+        }
+        console.log(`Loaded corpus snapshot from ${CORPUS_SNAPSHOT_PATH}`);
+      }
+    } catch (e) {
+      console.error('Failed to load corpus snapshot:', e.message);
+    }
+
+    try {
+      if (!(await this.vectorStore.init({ create: false }))) return;
+      let restored = 0;
+      for (let offset = 0; ; offset += VECTOR_STORE_SCAN_BATCH) {
+        const records = await this.vectorStore.list({ limit: VECTOR_STORE_SCAN_BATCH, offset });
+        for (const record of records) {
+          const { url: articleUrl, canonicalUrl } = record.metadata;
+          for (const url of [articleUrl, trustedCanonicalUrl(articleUrl, canonicalUrl)]) {
+            if (url) this.urlSet.add(canonicalizeUrl(url));
+          }
+          if (!this.documentsById.has(record.id)) {
+            this.addToCorpus({ id: record.id, text: record.content, metadata: record.metadata });
+            restored++;
+          }
+        }
+        if (records.length < VECTOR_STORE_SCAN_BATCH) break;
+      }
+      if (restored) console.log(`Restored ${restored} chunks from the ${this.vectorStore.name} vector store`);
+    } catch (e) {
+      console.error(`Failed to scan the ${this.vectorStore.name} vector store:`, e.message);
+    }
 
-    this.initialized = true;
-    console.log('Initialized in-memory RAG pipeline');
+    if (this.fingerprintRestoredArticles()) await this.saveCorpus();
+  }
+
+  // Fingerprint articles restored without one (older snapshots, vector store
+  // scans) from their chunks. Returns how many were added.
+  fingerprintRestoredArticles() {
+    const chunksByArticle = new Map();
+    for (const doc of this.documents) {
+      const { articleId } = doc.metadata;
+      if (!articleId || this.nearDuplicates.signatures.has(articleId)) continue;
+      if (!chunksByArticle.has(articleId)) chunksByArticle.set(articleId, []);
+      chunksByArticle.get(articleId).push(doc);
+    }
+    let added = 0;
+    for (const [articleId, chunks] of chunksByArticle) {
+      const text = chunks
+        .sort((a, b) => (a.metadata.chunkIndex || 0) - (b.metadata.chunkIndex || 0))
+        .map(c => c.text)
+        .join(' ');
+      const signature = minhashSignature(text);
+      if (!signature) continue;
+      this.nearDuplicates.add(articleId, signature);
+      added++;
+    }
+    if (added) console.log(`Fingerprinted ${added} restored articles for near-duplicate detection`);
+    return added;
+  }
+
+  async saveCorpus() {
+    try {
+      await writeJsonFile(CORPUS_SNAPSHOT_PATH, {
+        version: 1,
+        savedAt: new Date().toISOString(),
+        documents: this.documents,
+        urls: [...this.urlSet],
+        fingerprints: Object.fromEntries(this.nearDuplicates.signatures)
+      });
+    } catch (e) {
+      console.error('Failed to save corpus snapshot:', e.message);
+    }
+  }
+
+  addToCorpus(doc) {
+    if (this.documentsById.has(doc.id)) return false;
+    // Chunks stored before filters existed lack the derived filter keys, and
+    // may carry publishedAt exactly as the feed wrote it
+    if (doc.metadata.sourceKey === undefined) {
+      const metadata = { ...doc.metadata, publishedAt: toISODate(doc.metadata.publishedAt) || doc.metadata.publishedAt };
+      doc.metadata = { ...metadata, ...filterMetadata(metadata) };
+    }
+    this.documents.push(doc);
+    this.documentsById.set(doc.id, doc);
+    this.bm25.add(doc.id, `${doc.metadata.title || ''}\n${doc.text}`);
+
+    const { articleId, clusterId, source, title, url, publishedAt } = doc.metadata;
+    if (articleId && !this.articleClusters.has(articleId)) {
+      const key = clusterId || articleId;
+      this.articleClusters.set(articleId, key);
+      if (!this.clusters.has(key)) this.clusters.set(key, new Map());
+      this.clusters.get(key).set(articleId, { source, title, url, publishedAt });
+    }
     return true;
   }
 
   clear() {
     this.documents = [];
-    this.documentVectors = [];
+    this.documentsById = new Map();
+    this.bm25.clear();
     this.urlSet = new Set();
+    this.nearDuplicates.clear();
+    this.clusters = new Map();
+    this.articleClusters = new Map();
     console.log('RAG in-memory store cleared');
   }
 
-  // --- Embeddings + Chroma helpers ---
-  async embedTexts(texts) {
-    if (!Array.isArray(texts) || texts.length === 0) return [];
-    if (!JINA_API_KEY) {
-      console.warn('Jina API key not set; skipping embeddings and using in-memory fallback');
-      return [];
+  getStats() {
+    const articleIds = new Set(this.documents.map(d => d.metadata.articleId));
+    // `stories` counts near-duplicate clusters once
+    return { documents: articleIds.size, stories: this.clusters.size, chunks: this.documents.length };
+  }
+
+  // --- Embeddings + vector store helpers ---
+  // Embed texts with the configured provider. Throws when the provider fails
+  // after retries or returns vectors that don't fit the existing vector store.
+  async embedTexts(texts, taskType = 'document') {
+    const vectors = await this.embedder.embedTexts(texts, { taskType });
+    if (vectors.length) this.checkDimensions(vectors[0].length);
+    return vectors;
+  }
+
+  checkDimensions(dimensions) {
+    const storeDimensions = this.vectorStore.dimensions;
+    if (!storeDimensions || dimensions === storeDimensions) return;
+    const error = new Error(
+      `Embedding dimension mismatch: '${this.embedder.name}' (${this.embedder.model}) produces ` +
+      `${dimensions}-dimensional vectors but the ${this.vectorStore.name} vector store holds ` +
+      `${storeDimensions}-dimensional ones. Use the embedding provider the store was built with ` +
+      'or point the vector store at a new collection/path.'
+    );
+    error.code = 'EMBEDDING_DIMENSION_MISMATCH';
+    throw error;
+  }
+
+  hasUrl(url) {
+    return this.urlSet.has(canonicalizeUrl(url));
+  }
+
+  // Index articles ({ title, text, url, publishedAt, plus optional source, author,
+  // feed, image, canonicalUrl, language, section, categories }). Resolves with
+  // { articles, chunks, duplicates, duplicateUrls, nearDuplicates } for this batch.
+  // Articles whose URL (or trusted canonical URL, see trustedCanonicalUrl) was
+  // seen before are skipped; articles whose content nearly matches an earlier
+  // one are indexed into its cluster.
+  async addDocuments(documents) {
+    await this.initialize();
+
+    // Deduplicate by canonical URL first (seen URLs are only recorded once indexing succeeds)
+    const articles = [];
+    const batchUrls = new Set();
+    const duplicateUrls = [];
+    for (const doc of documents) {
+      const urlKeys = [doc.url, trustedCanonicalUrl(doc.url, doc.canonicalUrl)].filter(Boolean).map(canonicalizeUrl);
+      if (urlKeys.some(key => this.urlSet.has(key) || batchUrls.has(key))) {
+        duplicateUrls.push((doc.url || '').trim());
+        continue;
+      }
+      articles.push(doc);
+      for (const key of urlKeys) batchUrls.add(key);
+    }
+
+    // Fingerprint each article and join the cluster of the closest earlier
+    // article (from the corpus or this batch) when it is a near-duplicate
+    const batchClusters = new Map();
+    const clusterOf = id => batchClusters.get(id) || this.articleClusters.get(id) || id;
+    let nearDuplicates = 0;
+    for (const doc of articles) {
+      const articleId = articleIdFor(doc);
+      const signature = minhashSignature(doc.text);
+      const match = this.nearDuplicates.findMatch(signature);
+      const clusterId = match ? clusterOf(match.id) : articleId;
+      if (match) {
+        nearDuplicates++;
+        console.log(`Near-duplicate (${Math.round(match.similarity * 100)}% similar): ${doc.url || doc.title} joins story ${clusterId}`);
+      }
+      batchClusters.set(articleId, clusterId);
+      this.nearDuplicates.add(articleId, signature);
     }
+
+    // Split each article into overlapping passages carrying the article metadata
+    const toIndex = [];
+    for (const doc of articles) {
+      const articleId = articleIdFor(doc);
+      const chunks = chunkText(doc.text);
+      chunks.forEach((text, chunkIndex) => {
+        toIndex.push({
+          id: `${articleId}_${chunkIndex}`,
+          text,
+          metadata: {
+            articleId,
+            chunkIndex,
+            chunkCount: chunks.length,
+            clusterId: batchClusters.get(articleId),
+            ...articleMetadata(doc)
+          }
+        });
+      });
+    }
+
+    let vectored;
     try {
-      const resp = await axios.post(
-        'https://api.jina.ai/v1/embeddings',
-        { model: JINA_MODEL, input: texts },
-        { headers: { Authorization: `Bearer ${JINA_API_KEY}`, 'Content-Type': 'application/json' }, timeout: 60000 }
-      );
-      const vectors = (resp.data?.data || []).map(d => d.embedding);
-      return vectors;
+      vectored = await this.indexVectors(toIndex, articles.length);
     } catch (e) {
-      console.error('Failed to fetch embeddings from Jina:', e.response?.data || e.message);
-      return [];
+      // Nothing from this batch is kept, so its fingerprints must not match later articles
+      for (const articleId of batchClusters.keys()) this.nearDuplicates.remove(articleId);
+      throw e;
+    }
+
+    for (const urlKey of batchUrls) this.urlSet.add(urlKey);
+
+    // Always keep the in-memory corpus: it backs the BM25 leg of hybrid retrieval
+    let added = 0;
+    for (const doc of toIndex) {
+      if (this.addToCorpus(doc)) added++;
     }
+    console.log(`Added ${added} chunks from ${articles.length} articles to BM25 index${vectored ? ` (also stored in ${this.vectorStore.name} vector store)` : ''}`);
+    if (articles.length) await this.saveCorpus();
+    return { articles: articles.length, chunks: added, duplicates: duplicateUrls.length, duplicateUrls, nearDuplicates };
   }
 
-  async ensureChromaCollection() {
-    if (!CHROMA_URL) return null;
+  // Embed chunks and store them in the vector store. Returns true when stored.
+  // A dimension mismatch with the existing store throws (aborting ingestion);
+  // other embedding or store failures leave the batch searchable through BM25 only.
+  async indexVectors(toIndex, articleCount) {
+    if (!toIndex.length) return false;
+    const docsTexts = toIndex.map(d => d.text);
+    let embeddings = [];
     try {
-      // Try to get or create collection
-      // 1) list collections by name (if supported)
-      try {
-        const q = await axios.get(`${CHROMA_URL}/api/v1/collections`, { timeout: 15000, headers: chromaHeaders() });
-        const found = (q.data?.collections || []).find(c => c.name === CHROMA_COLLECTION);
-        if (found) {
-          this.collectionId = found.id;
-          return this.collectionId;
-        }
-      } catch (_) {
-        // ignore, will try create below
-      }
-      // 2) create
-      const resp = await axios.post(
-        `${CHROMA_URL}/api/v1/collections`,
-        { name: CHROMA_COLLECTION, metadata: { description: 'News articles for RAG' } },
-        { timeout: 15000, headers: chromaHeaders() }
-      );
-      this.collectionId = resp.data?.id || resp.data?.collection?.id || null;
-      return this.collectionId;
+      embeddings = await this.embedTexts(docsTexts, 'document');
     } catch (e) {
-      console.error('Failed to ensure Chroma collection:', e.response?.data || e.message);
-      return null;
+      if (e.code === 'EMBEDDING_DIMENSION_MISMATCH') throw e;
+      console.error(`Failed to embed documents with '${this.embedder.name}'; indexing into BM25 only:`, e.response?.data || e.message);
     }
-  }
-
-  async chromaAdd(ids, documents, metadatas, embeddings) {
-    if (!this.collectionId) return false;
+    if (!embeddings.length || !(await this.vectorStore.init({ dimensions: embeddings[0].length }))) return false;
+    this.checkDimensions(embeddings[0].length);
     try {
-      await axios.post(
-        `${CHROMA_URL}/api/v1/collections/${this.collectionId}/add`,
-        { ids, documents, metadatas, embeddings },
-        { timeout: 60000, headers: chromaHeaders() }
-      );
+      await this.vectorStore.add({
+        ids: toIndex.map(d => d.id),
+        embeddings,
+        documents: docsTexts,
+        metadatas: toIndex.map(d => d.metadata)
+      });
+      console.log(`Indexed ${toIndex.length} chunks from ${articleCount} articles into the ${this.vectorStore.name} vector store`);
       return true;
     } catch (e) {
-      console.error('Chroma add error:', e.response?.data || e.message);
+      console.error(`Vector store (${this.vectorStore.name}) add error:`, e.message);
       return false;
     }
   }
 
-  async chromaQuery(queryEmb, k) {
-    if (!this.collectionId) return null;
+  // Rank chunks by vector similarity, restricted by a `where` clause; null when
+  // the vector store is unavailable
+  async vectorSearch(queryText, limit, where) {
+    if (!(await this.vectorStore.init({ create: false }))) return null;
+    let queryEmb;
     try {
-      const resp = await axios.post(
-        `${CHROMA_URL}/api/v1/collections/${this.collectionId}/query`,
-        { query_embeddings: [queryEmb], n_results: k },
-        { timeout: 30000, headers: chromaHeaders() }
-      );
-      return resp.data; // expects { ids, distances, documents, metadatas }
+      [queryEmb] = await this.embedTexts([queryText], 'query');
     } catch (e) {
-      console.error('Chroma query error:', e.response?.data || e.message);
+      console.error(`Failed to embed query with '${this.embedder.name}'; using BM25 only:`, e.response?.data || e.message);
+      return null;
+    }
+    if (!queryEmb || !Array.isArray(queryEmb)) return null;
+    try {
+      return await this.vectorStore.query(queryEmb, { limit, where });
+    } catch (e) {
+      console.error(`Vector store (${this.vectorStore.name}) query error:`, e.message);
       return null;
     }
   }
 
-  async addDocuments(documents) {
-    await this.initialize();
+  // Rank in-memory chunks with BM25, restricted by a `where` clause
+  lexicalSearch(queryText, limit, where) {
+    const filter = where ? id => matchesWhere(this.documentsById.get(id).metadata, where) : null;
+    return this.bm25.search(queryText, limit, filter).map(({ id }) => {
+      const doc = this.documentsById.get(id);
+      return { id, content: doc.text, metadata: doc.metadata };
+    });
+  }
+
+  // Re-score first-stage candidates with the reranker (see RERANK_WEIGHT). The
+  // fused score is kept as `firstStageScore`. If the reranker fails the
+  // first-stage order stands and `reranker` is null.
+  async rerank(queryText, hits) {
+    if (!this.reranker || hits.length < 2) return { hits, reranker: null };
+    try {
+      const scores = await this.reranker.rerank(queryText, hits);
+      const firstStage = normalizedScores(hits);
+      const reranked = hits
+        .map((hit, i) => ({
+          ...hit,
+          firstStageScore: hit.score,
+          rerankScore: scores[i],
+          score: RERANK_WEIGHT * scores[i] + (1 - RERANK_WEIGHT) * firstStage[i]
+        }))
+        .sort((a, b) => b.score - a.score);
+      return { hits: reranked, reranker: this.reranker.name };
+    } catch (error) {
+      console.error(`Reranker '${this.reranker.name}' failed, keeping first-stage order:`, error.message);
+      return { hits, reranker: null };
+    }
+  }
+
+  // Source filter values are expanded through the source registry (see
+  // SourceRegistry.outletAliases); without a readable registry they match as given
+  async sourceAliases(filters) {
+    if (!filters.sources || !filters.sources.length) return undefined;
+    try {
+      await sourceRegistry.load();
+      return value => sourceRegistry.outletAliases(value);
+    } catch (error) {
+      console.error('Failed to load the source registry for source filters:', error.message);
+      return undefined;
+    }
+  }
 
-    // Store documents with metadata
-    const newDocs = documents.map(doc => ({
-      text: doc.text,
-      metadata: {
-        title: doc.title || '',
-        url: doc.url || '',
-        publishedAt: doc.publishedAt || new Date().toISOString(),
-        source: 'news_feed'
+  // Retrieve the top-k source articles for a query. Chunks are ranked by vector
+  // search and BM25 and fused with RRF; the candidates are then reranked,
+  // blended with recency, optionally thinned out with MMR and grouped by
+  // article. Options: `filters` (see queryFilters.js) restrict both legs,
+  // `recencyWeight` overrides RAG_RECENCY_WEIGHT and `mmr` overrides RAG_MMR.
+  // When nothing usable is found, `noResultAnswer` holds the message to return
+  // to the user instead of calling the LLM.
+  async retrieve(queryText, k = TOP_K, { filters = {}, recencyWeight, mmr = MMR_ENABLED } = {}) {
+    if (!this.initialized) {
+      console.log('Initializing RAG pipeline...');
+      await this.initialize();
+    }
+    const candidateCount = Math.max(k * CHUNK_CANDIDATE_MULTIPLIER, this.reranker ? RERANK_CANDIDATES : 0);
+    const where = buildWhere(filters, { sourceAliases: await this.sourceAliases(filters) });
+
+    const rankings = [];
+    let usedVectorStore = false;
+    if (VECTOR_WEIGHT > 0) {
+      const vectorHits = await this.vectorSearch(queryText, candidateCount, where);
+      if (vectorHits && vectorHits.length) {
+        rankings.push({ hits: vectorHits, weight: VECTOR_WEIGHT });
+        usedVectorStore = true;
       }
-    }));
+    }
 
-    // Deduplicate by URL first
-    const toIndex = [];
-    for (const doc of newDocs) {
-      const urlKey = (doc.metadata.url || '').trim();
-      if (urlKey && this.urlSet.has(urlKey)) continue;
-      toIndex.push(doc);
-      if (urlKey) this.urlSet.add(urlKey);
+    if (!usedVectorStore && this.documents.length === 0) {
+      console.error('No documents found in the pipeline. Please add documents first.');
+      return { sourceDocs: [], noResultAnswer: "I'm sorry, but I don't have any articles to search through yet." };
     }
 
-    // Try vector store path first (Jina + Chroma)
-    let vectored = false;
-    if (JINA_API_KEY && CHROMA_URL) {
-      const collectionId = await this.ensureChromaCollection();
-      if (collectionId && toIndex.length) {
-        const docsTexts = toIndex.map(d => d.text);
-        const embeddings = await this.embedTexts(docsTexts);
-        if (embeddings.length === toIndex.length) {
-          const ids = toIndex.map((d, i) => `${Date.now()}_${i}_${Math.random().toString(36).slice(2, 8)}`);
-          const metadatas = toIndex.map(d => d.metadata);
-          const ok = await this.chromaAdd(ids, docsTexts, metadatas, embeddings);
-          if (ok) {
-            console.log(`Indexed ${toIndex.length} documents into Chroma collection '${CHROMA_COLLECTION}'`);
-            vectored = true;
-          }
-        } else {
-          console.warn('Embeddings count mismatch; falling back to in-memory store');
-        }
+    if (BM25_WEIGHT > 0 && this.documents.length) {
+      console.log(`Running BM25 over ${this.documents.length} chunks${usedVectorStore ? ' (hybrid with vector search)' : ''}`);
+      const lexicalHits = this.lexicalSearch(queryText, candidateCount, where);
+      if (!usedVectorStore && !analyze(queryText).length) {
+        return { sourceDocs: [], noResultAnswer: "I couldn't understand your query. Could you please rephrase it?" };
       }
+      rankings.push({ hits: lexicalHits, weight: BM25_WEIGHT });
     }
 
-    // Always keep a minimal in-memory fallback corpus for safety
-    let added = 0;
-    for (const doc of toIndex) {
-      const tokens = tokenize(doc.text);
-      const vector = getWordFreq(tokens);
-      this.documents.push(doc);
-      this.documentVectors.push(vector);
-      added++;
+    const fused = reciprocalRankFusion(rankings).slice(0, candidateCount);
+    if (fused.length === 0) {
+      if (where) {
+        const period = filters.inferredFrom ? ` from ${filters.inferredFrom}` : '';
+        return { sourceDocs: [], noResultAnswer: `I couldn't find any articles${period} matching your filters.` };
+      }
+      return { sourceDocs: [], noResultAnswer: "I couldn't find any relevant information to answer your question." };
+    }
+    const { hits: reranked, reranker } = await this.rerank(queryText, fused);
+    let ranked = applyRecency(reranked, { weight: recencyWeight });
+    if (mmr) {
+      ranked = selectWithMMR(ranked, { limit: MMR_CONTEXT_CHUNKS || 2 * k, maxGroups: k, lambda: MMR_LAMBDA });
+    }
+    const sourceDocs = groupChunksByArticle(ranked, k).map(doc => this.withAlsoReportedBy(doc));
+    return { sourceDocs, usedVectorStore, reranker };
+  }
+
+  // Attach the other articles of the document's story cluster as
+  // `alsoReportedBy: [{ source, title, url, publishedAt }]` (oldest first)
+  withAlsoReportedBy(doc) {
+    const { articleId, clusterId } = doc.metadata || {};
+    const members = this.clusters.get(clusterId || articleId);
+    if (!members || members.size < 2) return doc;
+    const alsoReportedBy = [...members.entries()]
+      .filter(([id]) => id !== articleId)
+      .map(([, member]) => member)
+      .sort((a, b) => String(a.publishedAt || '').localeCompare(String(b.publishedAt || '')));
+    return { ...doc, alsoReportedBy };
+  }
+
+  // Format retrieved documents as numbered context for the LLM; [n] is sourceDocs[n - 1]
+  buildContext(sourceDocs) {
+    return sourceDocs
+      .map((doc, i) => (
+        `[${i + 1}] Title: ${doc.metadata?.title || ''}\n` +
+        `Outlet: ${doc.metadata?.source || ''}\n` +
+        (doc.metadata?.author ? `Author: ${doc.metadata.author}\n` : '') +
+        (formatPublished(doc.metadata?.publishedAt) ? `Published: ${formatPublished(doc.metadata.publishedAt)}\n` : '') +
+        `Source: ${doc.metadata?.url || ''}\n` +
+        (doc.alsoReportedBy?.length ? `Also reported by: ${[...new Set(doc.alsoReportedBy.map(a => a.source))].join(', ')}\n` : '') +
+        `Content: ${doc.content}`
+      ))
+      .join('\n\n');
+  }
+
+  buildPrompt(queryText, context, history = [], now = new Date()) {
+    const parts = [
+      'You are a helpful news assistant. Answer the question based on the provided news articles.',
+      'If the answer cannot be found in the articles, say "I don\'t have enough information to answer that."',
+      'When you use an article, name its outlet (and author, when given).',
+      'Cite the articles you rely on by putting their numbers in square brackets, like [1] or [1][3], ' +
+        'right after each sentence they support. Only cite numbers from the list below.',
+      `The current time is ${formatPublished(now)}. Each article shows when it was published: ` +
+        'if reports disagree or a story has moved on, rely on the most recent one and say when it was reported.',
+      'Use the following articles as context:',
+      context
+    ];
+    if (history.length) {
+      parts.push(`Conversation so far:\n${formatHistory(history)}`);
+    }
+    parts.push(`\nQuestion: ${queryText}\nAnswer:`);
+    return parts.join('\n\n');
+  }
+
+  // Rewrite a follow-up question ("who is he?", "what happened next?") into a
+  // standalone query using the conversation, so retrieval has something to match.
+  // Falls back to prefixing the previous user question if no LLM can rewrite it.
+  async condenseQuery(queryText, history = []) {
+    if (!history.length) return queryText;
+
+    try {
+      const prompt = [
+        'Rewrite the follow-up question as a standalone search query for a news archive.',
+        'Resolve pronouns and references using the conversation. Keep names, places and dates.',
+        'If the question is already standalone, return it unchanged. Reply with the query only.',
+        `Conversation:\n${formatHistory(history)}`,
+        `Follow-up question: ${queryText}\nStandalone query:`
+      ].join('\n\n');
+      const { text } = await this.generator.generate({ prompt, question: queryText, sources: [] });
+      const rewritten = text.trim().replace(/^["']|["']$/g, '');
+      if (rewritten) return rewritten;
+    } catch (error) {
+      console.error('Error condensing follow-up question:', error.message);
+    }
+
+    const lastUserMessage = [...history].reverse().find(m => m.role === 'user');
+    return lastUserMessage ? `${lastUserMessage.content} ${queryText}` : queryText;
+  }
+
+  // Check a generated answer against its sources (see grounding.js). A refused
+  // answer loses its citations; an annotated one keeps them since the note is
+  // appended after the cited sentences. A failing check leaves the answer as is
+  // with `grounding` null. A streamed answer has already reached the client, so
+  // it is never replaced with a refusal (`streamed`), only annotated.
+  async checkGrounding(answer, sourceDocs, citations, { streamed = false } = {}) {
+    if (!this.groundingChecker) return { answer, citations, grounding: null };
+    try {
+      const { answer: checked, grounding } = await verifyAnswer(
+        this.groundingChecker, answer, sourceDocs, streamed ? { refuseBelow: 0 } : {}
+      );
+      return { answer: checked, citations: grounding.action === 'refused' ? [] : citations, grounding };
+    } catch (error) {
+      console.error('Grounding check failed:', error.message);
+      return { answer, citations, grounding: null };
     }
-    console.log(`Added ${added} docs to in-memory fallback${vectored ? ' (also stored in Chroma)' : ''}`);
   }
 
-  async query(queryText, k = 3, useFallback = false) {
+  // Explicit date filters win; otherwise a time expression in the question
+  // ("yesterday", "last week") becomes a date range, recorded as `inferredFrom`
+  resolveFilters(queryText, filters = {}, inferFilters = INFER_TIME_FILTERS) {
+    if (!inferFilters || filters.publishedAfter || filters.publishedBefore) return filters;
+    const inferred = inferTimeFilter(queryText);
+    if (!inferred) return filters;
+    const { expression, ...range } = inferred;
+    console.log(`Inferred date filter from "${expression}":`, range);
+    return { ...filters, ...range, inferredFrom: expression };
+  }
+
+  // retrieve() with the resolved filters. A date range inferred from the
+  // question is only a guess, so when nothing matches it the search is repeated
+  // without it. Resolves with retrieve()'s result plus the `filters` applied and
+  // `relaxedFrom`, the time expression that was dropped (undefined if none).
+  async retrieveWithFilters(queryText, k, filters, options = {}) {
+    if (!filters.inferredFrom) return { ...(await this.retrieve(queryText, k, { ...options, filters })), filters };
+    const searchText = withoutTimeExpression(queryText, filters.inferredFrom);
+    const result = await this.retrieve(searchText, k, { ...options, filters });
+    if (result.sourceDocs.length) return { ...result, filters };
+    console.log(`No articles from ${filters.inferredFrom}; retrying without the inferred date filter`);
+    const { publishedAfter, publishedBefore, inferredFrom, ...rest } = filters;
+    const relaxed = await this.retrieve(searchText, k, { ...options, filters: rest });
+    return { ...relaxed, filters: rest, relaxedFrom: inferredFrom };
+  }
+
+  // options: { k, history, filters, inferFilters, recencyWeight, mmr }. `k`
+  // defaults to RAG_TOP_K; `history` is the prior conversation as
+  // [{ role: 'user' | 'assistant', content }], oldest first; `filters` are
+  // validated with normalizeFilters; the rest override RAG_INFER_TIME_FILTERS,
+  // RAG_RECENCY_WEIGHT and RAG_MMR. `filterRelaxed` in the result is true when
+  // an inferred date range matched nothing and was dropped; the answer then
+  // starts with a sentence saying so.
+  async query(queryText, options = {}) {
+    const { k = TOP_K, history = [] } = options;
     try {
       console.log('=== Starting RAG Query ===');
       console.log('Query:', queryText);
 
-      if (!this.initialized) {
-        console.log('Initializing RAG pipeline...');
-        await this.initialize();
-      }
+      const recentHistory = trimHistory(history);
+      const rewrittenQuery = await this.condenseQuery(queryText, recentHistory);
+      if (rewrittenQuery !== queryText) console.log('Rewritten query:', rewrittenQuery);
 
-      // If Chroma is available, prefer vector retrieval
-      let sourceDocs = null;
-      let usedVectorStore = false;
-      if (JINA_API_KEY && CHROMA_URL) {
-        const collectionId = await this.ensureChromaCollection();
-        if (collectionId) {
-          const [queryEmb] = await this.embedTexts([queryText]);
-          if (queryEmb && Array.isArray(queryEmb)) {
-            const qr = await this.chromaQuery(queryEmb, k);
-            if (qr && Array.isArray(qr.documents) && qr.documents[0]) {
-              const docs = qr.documents[0];
-              const metas = (qr.metadatas && qr.metadatas[0]) || [];
-              sourceDocs = docs.map((content, i) => ({ content, metadata: metas[i] || {} }));
-              usedVectorStore = true;
-            }
-          }
-        }
+      const requestedFilters = this.resolveFilters(queryText, options.filters, options.inferFilters);
+      if (hasFilters(requestedFilters)) console.log('Filters:', requestedFilters);
+      const { sourceDocs, usedVectorStore, reranker, noResultAnswer, filters, relaxedFrom } = await this.retrieveWithFilters(
+        rewrittenQuery, k, requestedFilters, { recencyWeight: options.recencyWeight, mmr: options.mmr }
+      );
+      const filterRelaxed = Boolean(relaxedFrom);
+      if (noResultAnswer) {
+        return { answer: noResultAnswer, sources: [], citations: [], rewrittenQuery, filters, filterRelaxed };
       }
 
-      // Fallback to in-memory matching when vector store not available
-      if (!sourceDocs) {
-        if (!this.documents || this.documents.length === 0) {
-          const errorMsg = 'No documents found in the pipeline. Please add documents first.';
-          console.error(errorMsg);
-          return { answer: "I'm sorry, but I don't have any articles to search through yet.", sources: [] };
-        }
-        console.log(`Processing query with ${this.documents.length} documents (in-memory fallback)`);
+      const context = this.buildContext(sourceDocs);
+      const prompt = this.buildPrompt(queryText, context, recentHistory);
 
-        // Tokenize and create query vector
-        const queryTokens = tokenize(queryText);
-        if (!queryTokens.length) {
-          return { answer: "I couldn't understand your query. Could you please rephrase it?", sources: [] };
-        }
-        const queryVector = getWordFreq(queryTokens);
-        const scores = [];
-        for (let i = 0; i < this.documentVectors.length; i++) {
-          try {
-            const score = cosineSimilarity(queryVector, this.documentVectors[i]);
-            scores.push({ index: i, score });
-          } catch (err) {
-            scores.push({ index: i, score: 0 });
-          }
-        }
-        const topK = scores.sort((a, b) => b.score - a.score).slice(0, k).filter(item => item.score > 0);
-        if (topK.length === 0) {
-          return { answer: "I couldn't find any relevant information to answer your question.", sources: [] };
-        }
-        sourceDocs = topK.map(item => ({ content: this.documents[item.index].text, metadata: this.documents[item.index].metadata }));
-      }
-
-      // Format context for the LLM
-      const context = sourceDocs
-        .map((doc, i) => (
-          `Title: ${doc.metadata?.title || ''}\n` +
-          `Source: ${doc.metadata?.url || ''}\n` +
-          `Content: ${doc.content.substring(0, 500)}...`
-        ))
-        .join('\n\n');
-
-      // If fallback is enabled
-      if (useFallback) {
-        console.log('Using fallback response generation (Gemini API not available)');
-        const topDoc = sourceDocs[0];
-        const fallbackResponse =
-          `Based on the article "${topDoc.metadata.title}": ` +
-          `${topDoc.content.substring(0, 150)}... ` +
-          `[Read more: ${topDoc.metadata.url || 'No URL provided'}]`;
-
-        return {
-          answer: fallbackResponse,
-          sources: sourceDocs,
-          _debug: {
-            usedFallback: true,
-            context: context
-          }
-        };
-      }
+      console.log(`Generating answer with ${this.generator.primary}...`);
+      const { text, provider } = await this.generator.generate({ prompt, question: queryText, sources: sourceDocs });
+      const cited = attachCitations(text, sourceDocs);
+      const { answer, citations, grounding } = prependNotice(
+        relaxedFrom && relaxedFilterNotice(relaxedFrom),
+        await this.checkGrounding(cited.answer, sourceDocs, cited.citations)
+      );
 
-      // Try to use Gemini API
-      try {
-        console.log('Sending request to Gemini...');
-        const prompt = [
-          'You are a helpful news assistant. Answer the question based on the provided news articles.',
-          'If the answer cannot be found in the articles, say "I don\'t have enough information to answer that."',
-          'Use the following articles as context:',
-          context,
-          `\nQuestion: ${queryText}\nAnswer:`
-        ].join('\n\n');
-
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-
-        return {
-          answer: text,
-          sources: sourceDocs,
-          _debug: {
-            usedFallback: false,
-            usedVectorStore,
-            context: context
-          }
-        };
-      } catch (apiError) {
-        console.error('Error calling Gemini API:', apiError);
-        if (useFallback) {
-          // If we're already using fallback, rethrow
-          throw apiError;
+      return {
+        answer,
+        sources: sourceDocs,
+        citations,
+        invalidCitations: cited.invalidCitations,
+        confidence: grounding ? grounding.confidence : null,
+        grounding,
+        rewrittenQuery,
+        filters,
+        filterRelaxed,
+        _debug: {
+          provider,
+          usedFallback: provider !== this.generator.primary,
+          usedVectorStore,
+          reranker,
+          context: context
         }
-        // Otherwise, retry with fallback enabled
-        return this.query(queryText, k, true);
-      }
+      };
     } catch (error) {
       console.error('Error in RAG query:', error);
       return {
@@ -351,6 +831,95 @@ class RAGPipeline {
       };
     }
   }
+
+  // Streaming variant of query(). Takes the same options plus `onSources` and
+  // `onChunk` callbacks: sources are handed over as soon as retrieval finishes,
+  // then the answer piece by piece as the LLM generates it. Resolves with the
+  // same shape as query(), plus `timings` (milliseconds from the start for
+  // rewriting, retrieval and the first answer piece, and the total).
+  // Citation markers are only checked once the answer is complete, so the
+  // streamed pieces may still contain markers that the final `answer` drops.
+  // An AbortSignal in `signal` stops generation; the result then has
+  // `aborted: true` and whatever answer text had been produced.
+  async queryStream(queryText, options = {}) {
+    const { k = TOP_K, history = [], signal } = options;
+    const onSources = options.onSources || (() => {});
+    const startedAt = Date.now();
+    const timings = {};
+    const elapsed = () => Date.now() - startedAt;
+    const onChunk = piece => {
+      if (timings.firstChunkMs === undefined) timings.firstChunkMs = elapsed();
+      (options.onChunk || (() => {}))(piece);
+    };
+
+    try {
+      console.log('=== Starting streaming RAG Query ===');
+      console.log('Query:', queryText);
+
+      const recentHistory = trimHistory(history);
+      const rewrittenQuery = await this.condenseQuery(queryText, recentHistory);
+      if (rewrittenQuery !== queryText) console.log('Rewritten query:', rewrittenQuery);
+      timings.rewriteMs = elapsed();
+
+      const requestedFilters = this.resolveFilters(queryText, options.filters, options.inferFilters);
+      if (hasFilters(requestedFilters)) console.log('Filters:', requestedFilters);
+      const { sourceDocs, usedVectorStore, reranker, noResultAnswer, filters, relaxedFrom } = await this.retrieveWithFilters(
+        rewrittenQuery, k, requestedFilters, { recencyWeight: options.recencyWeight, mmr: options.mmr }
+      );
+      const filterRelaxed = Boolean(relaxedFrom);
+      timings.retrievalMs = elapsed();
+      if (signal?.aborted) return { answer: '', sources: sourceDocs, aborted: true, timings };
+      onSources(sourceDocs);
+      if (noResultAnswer) {
+        onChunk(noResultAnswer);
+        timings.totalMs = elapsed();
+        return { answer: noResultAnswer, sources: [], citations: [], rewrittenQuery, filters, filterRelaxed, timings };
+      }
+
+      const context = this.buildContext(sourceDocs);
+      const prompt = this.buildPrompt(queryText, context, recentHistory);
+
+      const notice = relaxedFrom && relaxedFilterNotice(relaxedFrom);
+      if (notice) onChunk(`${notice}\n\n`);
+      console.log(`Streaming answer from ${this.generator.primary}...`);
+      const { text, provider } = await this.generator.stream({ prompt, question: queryText, sources: sourceDocs, signal }, onChunk);
+      const cited = attachCitations(text, sourceDocs);
+      const { answer, citations, grounding } = prependNotice(
+        notice,
+        await this.checkGrounding(cited.answer, sourceDocs, cited.citations, { streamed: true })
+      );
+      timings.totalMs = elapsed();
+
+      return {
+        answer,
+        sources: sourceDocs,
+        citations,
+        invalidCitations: cited.invalidCitations,
+        confidence: grounding ? grounding.confidence : null,
+        grounding,
+        rewrittenQuery,
+        filters,
+        filterRelaxed,
+        timings,
+        _debug: {
+          provider,
+          usedFallback: provider !== this.generator.primary,
+          usedVectorStore,
+          reranker,
+          context
+        }
+      };
+    } catch (error) {
+      if (error.name === 'AbortError' && signal?.aborted) {
+        console.log(`Streaming RAG query aborted after ${elapsed()}ms`);
+        return { answer: error.partialText || '', sources: [], aborted: true, timings: { ...timings, totalMs: elapsed() } };
+      }
+      console.error('Error in streaming RAG query:', error);
+      const answer = "I'm sorry, I encountered an error while processing your request.";
+      onChunk(answer);
+      return { answer, sources: [] };
+    }
+  }
 }
 
 module.exports = new RAGPipeline();
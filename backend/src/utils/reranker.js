@@ -0,0 +1,184 @@
+const { analyze } = require('./bm25');
+const { envNumber } = require('./env');
+
+// Second-stage ranking. retrieve() over-fetches candidate chunks from the
+// first stage (vector + BM25), a reranker re-scores them against the question,
+// and the final context is picked from the re-scored list, optionally with
+// maximal marginal relevance (MMR) so one article can't take every slot.
+// Rerankers: none | lexical (offline term overlap) | llm (relevance grading by
+// the configured LLM). Unset, the lexical reranker is only used alongside the
+// offline local embedder, whose hashed vectors carry no meaning that term
+// overlap could override; with a real embedding model there is no reranking.
+const RERANKER = (process.env.RERANKER || '').toLowerCase();
+// Candidate chunks handed to the reranker
+const RERANK_CANDIDATES = envNumber('RERANK_CANDIDATES', 30);
+const RERANK_LLM_BATCH_SIZE = envNumber('RERANK_LLM_BATCH_SIZE', 10, { min: 1 });
+const RERANK_PASSAGE_CHARS = envNumber('RERANK_PASSAGE_CHARS', 600);
+// Chunks of the same story count as at least this similar for MMR
+const MMR_SAME_STORY_SIMILARITY = 0.5;
+
+// Every reranker implements
+//   rerank(question, candidates) -> Promise<number[]>
+// with one score in 0..1 per candidate ({ content, metadata }), higher meaning
+// more relevant.
+
+function passageText(candidate) {
+  const title = candidate.metadata?.title;
+  return title ? `${title}\n${candidate.content || ''}` : candidate.content || '';
+}
+
+// Pairs of adjacent terms, for rewarding passages that keep a phrase together
+function bigrams(terms) {
+  const pairs = new Set();
+  for (let i = 0; i + 1 < terms.length; i++) pairs.add(`${terms[i]} ${terms[i + 1]}`);
+  return pairs;
+}
+
+// Offline scorer: the share of the question's terms a passage contains, plus
+// the share of its adjacent term pairs that appear together in the passage.
+class LexicalReranker {
+  constructor({ phraseWeight = 0.3 } = {}) {
+    this.name = 'lexical';
+    this.phraseWeight = phraseWeight;
+  }
+
+  async rerank(question, candidates) {
+    const questionTerms = analyze(question);
+    const distinct = new Set(questionTerms);
+    const phrases = bigrams(questionTerms);
+    if (!distinct.size) return candidates.map(() => 0);
+
+    return candidates.map(candidate => {
+      const terms = analyze(passageText(candidate));
+      const present = new Set(terms);
+      const coverage = [...distinct].filter(term => present.has(term)).length / distinct.size;
+      if (!phrases.size) return coverage;
+      const passagePhrases = bigrams(terms);
+      const phraseCoverage = [...phrases].filter(pair => passagePhrases.has(pair)).length / phrases.size;
+      return (1 - this.phraseWeight) * coverage + this.phraseWeight * phraseCoverage;
+    });
+  }
+}
+
+// Asks the LLM to grade each passage 0-10 for how well it answers the
+// question, RERANK_LLM_BATCH_SIZE passages per request. Throws if no real LLM
+// answered or the reply can't be read, so the caller can keep first-stage order.
+class LLMReranker {
+  constructor({ generator, batchSize = RERANK_LLM_BATCH_SIZE, passageChars = RERANK_PASSAGE_CHARS } = {}) {
+    if (!generator) throw new Error('The llm reranker needs a generator');
+    this.name = 'llm';
+    this.generator = generator;
+    this.batchSize = batchSize;
+    this.passageChars = passageChars;
+  }
+
+  buildPrompt(question, batch) {
+    const passages = batch.map((candidate, i) => {
+      const text = passageText(candidate).replace(/\s+/g, ' ').trim();
+      return `[${i + 1}] ${text.length > this.passageChars ? `${text.substring(0, this.passageChars)}...` : text}`;
+    });
+    return [
+      'Rate how well each news passage helps answer the question, from 0 (irrelevant) to 10 (answers it directly).',
+      `Reply with only a JSON array of ${batch.length} integers, one per passage, in order.`,
+      `Question: ${question}`,
+      passages.join('\n\n')
+    ].join('\n\n');
+  }
+
+  async gradeBatch(question, batch) {
+    const { text, provider } = await this.generator.generate({ prompt: this.buildPrompt(question, batch), question, sources: [] });
+    // The extractive fallback can't grade; its answer would parse as garbage
+    if (provider === 'extractive') throw new Error('no LLM available to grade passages');
+    const match = /\[[\s\S]*?\]/.exec(text || '');
+    const grades = match ? JSON.parse(match[0]) : null;
+    if (!Array.isArray(grades) || grades.length !== batch.length || !grades.every(g => Number.isFinite(Number(g)))) {
+      throw new Error(`unreadable grades from ${provider}: ${String(text).substring(0, 100)}`);
+    }
+    return grades.map(g => Math.min(10, Math.max(0, Number(g))) / 10);
+  }
+
+  async rerank(question, candidates) {
+    const batches = [];
+    for (let i = 0; i < candidates.length; i += this.batchSize) {
+      batches.push(this.gradeBatch(question, candidates.slice(i, i + this.batchSize)));
+    }
+    return (await Promise.all(batches)).flat();
+  }
+}
+
+// Returns null for 'none'. `embedder` picks the default when RERANKER is unset.
+function createReranker({ name = RERANKER, generator, embedder } = {}) {
+  switch (name || (embedder?.name === 'local' ? 'lexical' : 'none')) {
+    case 'none':
+      return null;
+    case 'lexical':
+      return new LexicalReranker();
+    case 'llm':
+      return new LLMReranker({ generator });
+    default:
+      throw new Error(`Unknown RERANKER '${name}' (expected none, lexical or llm)`);
+  }
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const term of a) {
+    if (b.has(term)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// Greedy MMR over ranked hits ({ content, metadata, score }): each pick
+// maximises lambda * relevance - (1 - lambda) * (similarity to what is already
+// picked). Similarity is term overlap, and at least MMR_SAME_STORY_SIMILARITY
+// between chunks of the same story. Once `maxGroups` stories are in, only
+// further chunks of those stories are eligible. Picks at most `limit` hits,
+// returned in pick order.
+function selectWithMMR(hits, { limit, maxGroups, lambda = 0.7 }) {
+  if (!hits.length) return [];
+  const scores = hits.map(hit => hit.score);
+  const max = Math.max(...scores);
+  const min = Math.min(...scores);
+  const candidates = hits.map(hit => ({
+    hit,
+    relevance: max > min ? (hit.score - min) / (max - min) : 1,
+    terms: new Set(analyze(hit.content || '')),
+    group: hit.metadata?.clusterId || hit.metadata?.articleId || hit.metadata?.url || hit.content
+  }));
+
+  const picked = [];
+  const groups = new Set();
+  while (picked.length < limit) {
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of candidates) {
+      if (candidate.picked) continue;
+      if (groups.size >= maxGroups && !groups.has(candidate.group)) continue;
+      let redundancy = 0;
+      for (const other of picked) {
+        let similarity = jaccard(candidate.terms, other.terms);
+        if (candidate.group === other.group) similarity = Math.max(similarity, MMR_SAME_STORY_SIMILARITY);
+        redundancy = Math.max(redundancy, similarity);
+      }
+      const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    if (!best) break;
+    best.picked = true;
+    picked.push(best);
+    groups.add(best.group);
+  }
+  return picked.map(candidate => candidate.hit);
+}
+
+module.exports = {
+  createReranker,
+  LexicalReranker,
+  LLMReranker,
+  selectWithMMR,
+  RERANK_CANDIDATES
+};
@@ -0,0 +1,55 @@
+const { envNumber } = require('./env');
+
+// Retry helper for calls to external APIs (embeddings, LLMs) and news sites
+const DEFAULT_RETRIES = envNumber('API_MAX_RETRIES', 3);
+const DEFAULT_BASE_DELAY_MS = envNumber('API_RETRY_BASE_DELAY_MS', 500);
+// A Retry-After longer than this isn't waited out; the error is rethrown instead
+const MAX_RETRY_AFTER_MS = envNumber('API_MAX_RETRY_AFTER_MS', 30000);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Network failures, timeouts, rate limits and server errors are worth retrying;
+// anything else (bad request, auth) will fail the same way again.
+function isRetryableError(error) {
+  if (!error || error.retryable === false) return false;
+  if (error.name === 'AbortError' && !error.timeout) return false;
+  const status = error.response?.status || error.status;
+  if (status) return status === 408 || status === 429 || status >= 500;
+  return true;
+}
+
+// Delay requested by a Retry-After header (seconds or an HTTP date), if any
+function retryAfterMs(error) {
+  const value = error.response?.headers?.['retry-after'];
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+// Run `fn(attempt)` until it succeeds, backing off exponentially (with jitter)
+// between attempts, or as long as the server's Retry-After asks. The last error
+// is rethrown once retries are exhausted.
+async function withRetries(fn, { retries = DEFAULT_RETRIES, baseDelayMs = DEFAULT_BASE_DELAY_MS, label = 'request' } = {}) {
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+      const retryAfter = retryAfterMs(error);
+      if (retryAfter > MAX_RETRY_AFTER_MS) throw error;
+      const delay = Math.max(baseDelayMs * 2 ** attempt * (0.5 + Math.random() / 2), retryAfter);
+      console.warn(`${label} failed (${error.response?.status || error.message}); retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+      attempt++;
+    }
+  }
+}
+
+module.exports = {
+  withRetries,
+  isRetryableError,
+  sleep
+};
@@ -0,0 +1,93 @@
+// Schedule specs for background jobs. Two forms are accepted:
+//   intervals - "30s", "15m", "1h", "1d" (also "every 15m")
+//   cron      - five fields "minute hour day-of-month month day-of-week" with
+//               *, lists (1,15), ranges (9-17) and steps (*/10, 0-30/5)
+// parseSchedule(spec) returns { spec, nextRun(from) } where nextRun gives the
+// Date of the next run strictly after `from`.
+
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 6 }
+];
+
+// Give up looking for a matching minute after roughly four years
+const MAX_CRON_LOOKAHEAD_MINUTES = 4 * 366 * 24 * 60;
+
+function parseInterval(spec) {
+  const match = /^(?:every\s+)?(\d+)\s*([smhd])$/i.exec(spec.trim());
+  if (!match) return null;
+  const ms = Number(match[1]) * UNIT_MS[match[2].toLowerCase()];
+  if (!ms) throw new Error(`Schedule interval must be positive: '${spec}'`);
+  return { spec, intervalMs: ms, nextRun: (from = new Date()) => new Date(from.getTime() + ms) };
+}
+
+function parseCronField(part, { name, min, max }) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const [rangePart, stepPart] = item.split('/');
+    const step = stepPart === undefined ? 1 : Number(stepPart);
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (rangePart.includes('-')) {
+      [start, end] = rangePart.split('-').map(Number);
+    } else {
+      start = Number(rangePart);
+      end = stepPart === undefined ? start : max;
+    }
+    if (![start, end, step].every(Number.isInteger) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field '${part}'`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(spec) {
+  const parts = spec.trim().split(/\s+/);
+  if (parts.length !== 5) return null;
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  // Standard cron: when both day fields are restricted, either may match
+  const dayRestricted = parts[2] !== '*';
+  const weekdayRestricted = parts[4] !== '*';
+
+  const matches = (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    if (dayRestricted && weekdayRestricted) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+  };
+
+  return {
+    spec,
+    nextRun(from = new Date()) {
+      const candidate = new Date(from.getTime());
+      candidate.setSeconds(0, 0);
+      candidate.setMinutes(candidate.getMinutes() + 1);
+      for (let i = 0; i < MAX_CRON_LOOKAHEAD_MINUTES; i++) {
+        if (matches(candidate)) return candidate;
+        candidate.setMinutes(candidate.getMinutes() + 1);
+      }
+      throw new Error(`Cron expression '${spec}' never matches`);
+    }
+  };
+}
+
+function parseSchedule(spec) {
+  if (typeof spec !== 'string' || !spec.trim()) throw new Error('Schedule spec is required');
+  const schedule = parseInterval(spec) || parseCron(spec);
+  if (!schedule) throw new Error(`Unrecognised schedule '${spec}' (use e.g. "30m" or "*/30 * * * *")`);
+  return schedule;
+}
+
+module.exports = {
+  parseSchedule
+};
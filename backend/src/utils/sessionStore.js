@@ -0,0 +1,216 @@
+const { createClient } = require('redis');
+const { v4: uuidv4 } = require('uuid');
+const { envNumber } = require('./env');
+
+// Session configuration
+const REDIS_URL = process.env.REDIS_URL;
+const SESSION_TTL_SECONDS = envNumber('SESSION_TTL_SECONDS', 24 * 60 * 60, { min: 1 });
+const SESSION_MAX_HISTORY = envNumber('SESSION_MAX_HISTORY', 50, { min: 1 });
+const SESSION_KEY_PREFIX = process.env.SESSION_KEY_PREFIX || 'session:';
+
+// Both stores share the same async interface:
+//   createSession({ ownerId })      -> { id, ownerId, createdAt, messages }
+//   getSession(id)                  -> session or null when missing/expired
+//   appendMessages(id, ...messages) -> updated session or null
+//   adoptSession(id, ownerId)       -> session (with ownerId set unless it already
+//                                      had an owner) or null
+//   clearSession(id)                -> true if the session existed
+//   deleteSession(id)               -> true if the session existed
+// Every write refreshes the session TTL, so idle sessions expire and active ones don't.
+
+class MemorySessionStore {
+  constructor({ ttlSeconds = SESSION_TTL_SECONDS, maxHistory = SESSION_MAX_HISTORY } = {}) {
+    this.ttlMs = ttlSeconds * 1000;
+    this.maxHistory = maxHistory;
+    this.sessions = new Map();
+  }
+
+  // Returns the live entry, dropping it if it has expired
+  entry(id) {
+    if (!id) return null;
+    const entry = this.sessions.get(id);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    return entry;
+  }
+
+  touch(entry) {
+    entry.expiresAt = Date.now() + this.ttlMs;
+  }
+
+  toSession(entry) {
+    return { id: entry.id, ownerId: entry.ownerId, createdAt: entry.createdAt, messages: [...entry.messages] };
+  }
+
+  async createSession({ ownerId = null } = {}) {
+    const id = uuidv4();
+    const entry = { id, ownerId, createdAt: new Date().toISOString(), messages: [] };
+    this.touch(entry);
+    this.sessions.set(id, entry);
+    return this.toSession(entry);
+  }
+
+  async getSession(id) {
+    const entry = this.entry(id);
+    return entry ? this.toSession(entry) : null;
+  }
+
+  async appendMessages(id, ...messages) {
+    const entry = this.entry(id);
+    if (!entry) return null;
+    entry.messages.push(...messages);
+    if (entry.messages.length > this.maxHistory) {
+      entry.messages = entry.messages.slice(-this.maxHistory);
+    }
+    this.touch(entry);
+    return this.toSession(entry);
+  }
+
+  async adoptSession(id, ownerId) {
+    const entry = this.entry(id);
+    if (!entry) return null;
+    if (!entry.ownerId) entry.ownerId = ownerId;
+    return this.toSession(entry);
+  }
+
+  async clearSession(id) {
+    const entry = this.entry(id);
+    if (!entry) return false;
+    entry.messages = [];
+    this.touch(entry);
+    return true;
+  }
+
+  async deleteSession(id) {
+    return this.entry(id) ? this.sessions.delete(id) : false;
+  }
+
+  async close() {
+    this.sessions.clear();
+  }
+}
+
+// Each session is a hash (`<prefix><id>`) holding its metadata plus a list
+// (`<prefix><id>:messages`) of JSON-encoded messages capped at maxHistory.
+class RedisSessionStore {
+  constructor({ url = REDIS_URL, ttlSeconds = SESSION_TTL_SECONDS, maxHistory = SESSION_MAX_HISTORY, prefix = SESSION_KEY_PREFIX } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.maxHistory = maxHistory;
+    this.prefix = prefix;
+    this.client = createClient({ url });
+    this.client.on('error', (err) => console.error('Redis session store error:', err.message));
+    this.connecting = null;
+  }
+
+  async connect() {
+    if (this.client.isOpen) return this.client;
+    if (!this.connecting) {
+      this.connecting = this.client.connect()
+        .then(() => console.log('Connected to Redis session store'))
+        .finally(() => { this.connecting = null; });
+    }
+    await this.connecting;
+    return this.client;
+  }
+
+  metaKey(id) {
+    return `${this.prefix}${id}`;
+  }
+
+  messagesKey(id) {
+    return `${this.prefix}${id}:messages`;
+  }
+
+  async createSession({ ownerId = null } = {}) {
+    const client = await this.connect();
+    const id = uuidv4();
+    const createdAt = new Date().toISOString();
+    await client.multi()
+      .hSet(this.metaKey(id), ownerId ? { id, ownerId, createdAt } : { id, createdAt })
+      .expire(this.metaKey(id), this.ttlSeconds)
+      .exec();
+    return { id, ownerId, createdAt, messages: [] };
+  }
+
+  async getSession(id) {
+    if (!id) return null;
+    const client = await this.connect();
+    const [meta, rawMessages] = await client.multi()
+      .hGetAll(this.metaKey(id))
+      .lRange(this.messagesKey(id), 0, -1)
+      .exec();
+    if (!meta || !meta.id) return null;
+    return { id: meta.id, ownerId: meta.ownerId || null, createdAt: meta.createdAt, messages: rawMessages.map(m => JSON.parse(m)) };
+  }
+
+  async appendMessages(id, ...messages) {
+    if (!id) return null;
+    const client = await this.connect();
+    if (!(await client.exists(this.metaKey(id)))) return null;
+    if (messages.length) {
+      await client.multi()
+        .rPush(this.messagesKey(id), messages.map(m => JSON.stringify(m)))
+        .lTrim(this.messagesKey(id), -this.maxHistory, -1)
+        .expire(this.messagesKey(id), this.ttlSeconds)
+        .expire(this.metaKey(id), this.ttlSeconds)
+        .exec();
+    }
+    return this.getSession(id);
+  }
+
+  async adoptSession(id, ownerId) {
+    if (!id) return null;
+    const client = await this.connect();
+    if (!(await client.exists(this.metaKey(id)))) return null;
+    await client.hSetNX(this.metaKey(id), 'ownerId', ownerId);
+    return this.getSession(id);
+  }
+
+  async clearSession(id) {
+    if (!id) return false;
+    const client = await this.connect();
+    if (!(await client.exists(this.metaKey(id)))) return false;
+    await client.multi()
+      .del(this.messagesKey(id))
+      .expire(this.metaKey(id), this.ttlSeconds)
+      .exec();
+    return true;
+  }
+
+  async deleteSession(id) {
+    if (!id) return false;
+    const client = await this.connect();
+    const removed = await client.del([this.metaKey(id), this.messagesKey(id)]);
+    return removed > 0;
+  }
+
+  async close() {
+    if (this.client.isOpen) await this.client.quit();
+  }
+}
+
+// Socket.IO room joined by every socket open on a session
+function sessionRoom(id) {
+  return `session:${id}`;
+}
+
+// Redis when REDIS_URL is configured, otherwise an in-process store
+function createSessionStore(options = {}) {
+  if (options.url || REDIS_URL) {
+    console.log('Using Redis session store');
+    return new RedisSessionStore(options);
+  }
+  console.warn('REDIS_URL not set; sessions are kept in memory and lost on restart');
+  return new MemorySessionStore(options);
+}
+
+module.exports = {
+  sessionStore: createSessionStore(),
+  createSessionStore,
+  sessionRoom,
+  MemorySessionStore,
+  RedisSessionStore
+};
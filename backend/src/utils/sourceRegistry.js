@@ -0,0 +1,251 @@
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+const { parseSchedule } = require('./schedule');
+const { outletKey } = require('./queryFilters');
+
+// News sources are seeded from a hand-editable JSON config file
+// ({ "sources": [...] }) that is never written to. Sources added or removed
+// through the /api/sources routes are recorded in a separate overrides file
+// ({ "added": [sources], "removed": [names] }) applied on top of it, so the
+// config can be updated by a deploy without losing runtime edits. Per-source
+// fetch health is kept separately too.
+const NEWS_SOURCES_PATH = process.env.NEWS_SOURCES_PATH ||
+  path.join(__dirname, '../../config/sources.json');
+const NEWS_SOURCES_OVERRIDES_PATH = process.env.NEWS_SOURCES_OVERRIDES_PATH ||
+  path.join(__dirname, '../../data/sources/overrides.json');
+const SOURCE_HEALTH_PATH = process.env.SOURCE_HEALTH_PATH ||
+  path.join(__dirname, '../../data/sources/health.json');
+const DEFAULT_FETCH_INTERVAL = process.env.INGEST_DEFAULT_INTERVAL || '1h';
+
+// Feed formats NewsFetcher knows how to read
+const SOURCE_TYPES = ['rss', 'atom', 'jsonfeed', 'sitemap'];
+
+// Validate a source definition and fill in defaults.
+// Returns { source } or { error } describing what is wrong.
+function normalizeSource(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { error: 'source must be an object' };
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) return { error: 'name is required' };
+
+  const url = typeof input.url === 'string' ? input.url.trim() : '';
+  if (!/^https?:\/\//i.test(url)) return { error: 'url must be an http(s) URL' };
+
+  const type = input.type === undefined ? 'rss' : input.type;
+  if (!SOURCE_TYPES.includes(type)) return { error: `type must be one of: ${SOURCE_TYPES.join(', ')}` };
+
+  const categories = input.categories === undefined ? [] : input.categories;
+  if (!Array.isArray(categories) || !categories.every(c => typeof c === 'string' && c.trim())) {
+    return { error: 'categories must be an array of strings' };
+  }
+
+  const language = input.language === undefined ? 'en' : input.language;
+  if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(language)) {
+    return { error: 'language must be a language code such as "en" or "pt-BR"' };
+  }
+
+  // Sites the source's articles are published on, when they differ from the
+  // feed's host (feeds.bbci.co.uk lists articles on bbc.com and bbc.co.uk)
+  const domains = input.domains === undefined ? [] : input.domains;
+  if (!Array.isArray(domains) || !domains.every(d => typeof d === 'string' && outletKey(d).includes('.'))) {
+    return { error: 'domains must be an array of host names' };
+  }
+
+  const enabled = input.enabled === undefined ? true : input.enabled;
+  if (typeof enabled !== 'boolean') return { error: 'enabled must be a boolean' };
+
+  const fetchInterval = input.fetchInterval === undefined ? DEFAULT_FETCH_INTERVAL : input.fetchInterval;
+  try {
+    // Planning a run also rejects cron expressions that can never fire ("0 0 31 2 *")
+    parseSchedule(fetchInterval).nextRun(new Date());
+  } catch (e) {
+    return { error: `fetchInterval: ${e.message}` };
+  }
+
+  return {
+    source: {
+      name,
+      url,
+      type,
+      categories: [...new Set(categories.map(c => c.trim().toLowerCase()))],
+      language,
+      domains: [...new Set(domains.map(outletKey))],
+      enabled,
+      fetchInterval
+    }
+  };
+}
+
+function sourceError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Health summary: pending (never fetched), failing (last fetch errored),
+// empty (feed fetched but listed nothing) or ok
+function healthStatus(health) {
+  if (!health.lastFetchAt) return 'pending';
+  if (health.lastErrorAt && health.lastErrorAt === health.lastFetchAt) return 'failing';
+  if (health.lastItemCount === 0) return 'empty';
+  return 'ok';
+}
+
+class SourceRegistry {
+  constructor({ configPath = NEWS_SOURCES_PATH, overridesPath = NEWS_SOURCES_OVERRIDES_PATH, healthPath = SOURCE_HEALTH_PATH } = {}) {
+    this.configPath = configPath;
+    this.overridesPath = overridesPath;
+    this.healthPath = healthPath;
+    this.sources = [];
+    this.overrides = { added: [], removed: [] };
+    this.configNames = new Set();
+    this.health = {}; // source name -> health record
+    this.loading = null;
+  }
+
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadFiles().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadFiles() {
+    const config = await readJsonFile(this.configPath, { sources: [] });
+    this.configNames = new Set((config.sources || []).map(entry => entry?.name));
+    const overrides = await readJsonFile(this.overridesPath, {});
+    this.overrides = { added: overrides.added || [], removed: overrides.removed || [] };
+    // Config sources that were removed or replaced at runtime are skipped
+    const masked = new Set([...this.overrides.removed, ...this.overrides.added.map(entry => entry?.name)]);
+    const names = new Set();
+    this.sources = [];
+    const files = [[this.configPath, config.sources || []], [this.overridesPath, this.overrides.added]];
+    for (const [filePath, entries] of files) {
+      for (const [i, entry] of entries.entries()) {
+        if (filePath === this.configPath && masked.has(entry?.name)) continue;
+        const { source, error } = normalizeSource(entry);
+        if (error || names.has(source.name)) {
+          console.warn(`Ignoring source #${i} in ${filePath}: ${error || `duplicate name '${source.name}'`}`);
+          continue;
+        }
+        names.add(source.name);
+        this.sources.push(source);
+      }
+    }
+    this.health = await readJsonFile(this.healthPath, {});
+    console.log(`Loaded ${this.sources.length} news sources from ${this.configPath} and ${this.overridesPath}`);
+  }
+
+  saveOverrides() {
+    return writeJsonFile(this.overridesPath, this.overrides);
+  }
+
+  get(name) {
+    return this.sources.find(source => source.name === name) || null;
+  }
+
+  // Every outlet key (see outletKey) a source filter value stands for. A value
+  // naming a registry source, or one of the sites it publishes on, also stands
+  // for that source's name, feed host and domains, so "BBC News" matches
+  // articles stored with the outlet "bbc.com".
+  outletAliases(value) {
+    const key = outletKey(value);
+    const aliases = new Set([key]);
+    for (const source of this.sources) {
+      const sites = [outletKey(source.url), ...(source.domains || [])];
+      if (outletKey(source.name) === key || sites.includes(key)) {
+        aliases.add(outletKey(source.name));
+        sites.forEach(site => aliases.add(site));
+      }
+    }
+    return [...aliases];
+  }
+
+  enabledSources() {
+    return this.sources.filter(source => source.enabled);
+  }
+
+  getHealth(name) {
+    const health = {
+      lastFetchAt: null,
+      lastSuccessAt: null,
+      lastErrorAt: null,
+      lastError: null,
+      lastItemCount: null,
+      articleCount: 0,
+      consecutiveFailures: 0,
+      ...this.health[name]
+    };
+    return { status: healthStatus(health), ...health };
+  }
+
+  // Sources with their health attached, for the API
+  list() {
+    return this.sources.map(source => ({ ...source, health: this.getHealth(source.name) }));
+  }
+
+  async add(input) {
+    await this.load();
+    const { source, error } = normalizeSource(input);
+    if (error) throw sourceError(error, 'INVALID_SOURCE');
+    if (this.get(source.name)) throw sourceError(`Source '${source.name}' already exists`, 'SOURCE_EXISTS');
+    this.sources.push(source);
+    this.overrides.added.push(source);
+    await this.saveOverrides();
+    return source;
+  }
+
+  // Returns true if the source existed
+  async remove(name) {
+    await this.load();
+    const index = this.sources.findIndex(source => source.name === name);
+    if (index === -1) return false;
+    this.sources.splice(index, 1);
+    // Forget it if it was added at runtime; mask it if it comes from the config
+    this.overrides.added = this.overrides.added.filter(source => source.name !== name);
+    if (this.configNames.has(name) && !this.overrides.removed.includes(name)) this.overrides.removed.push(name);
+    delete this.health[name];
+    await Promise.all([this.saveOverrides(), writeJsonFile(this.healthPath, this.health)]);
+    return true;
+  }
+
+  // Record the outcome of one fetch of a source: how many items the feed
+  // listed, how many articles were extracted, or the error that stopped it
+  async recordFetch(name, { items = 0, extracted = 0, error = null } = {}) {
+    const now = new Date().toISOString();
+    const previous = this.getHealth(name);
+    const health = {
+      ...previous,
+      lastFetchAt: now,
+      lastItemCount: items,
+      articleCount: previous.articleCount + extracted
+    };
+    delete health.status;
+    if (error) {
+      health.lastErrorAt = now;
+      health.lastError = error;
+      health.consecutiveFailures = previous.consecutiveFailures + 1;
+    } else {
+      health.lastSuccessAt = now;
+      health.consecutiveFailures = 0;
+    }
+    this.health[name] = health;
+    try {
+      await writeJsonFile(this.healthPath, this.health);
+    } catch (e) {
+      console.error('Failed to save source health:', e.message);
+    }
+  }
+}
+
+const sourceRegistry = new SourceRegistry();
+
+module.exports = {
+  sourceRegistry,
+  SourceRegistry,
+  normalizeSource,
+  SOURCE_TYPES
+};
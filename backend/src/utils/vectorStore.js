@@ -0,0 +1,270 @@
+const path = require('path');
+const { ChromaClient } = require('chromadb');
+const { readJsonFile, writeJsonFile } = require('./jsonFile');
+
+// Backend selection: chroma | local. Defaults to Chroma when a server is configured,
+// otherwise the embedded on-disk store.
+const CHROMA_URL = (process.env.CHROMA_DB_URL || '').replace(/\/$/, '');
+const VECTOR_STORE = (process.env.VECTOR_STORE || (CHROMA_URL ? 'chroma' : 'local')).toLowerCase();
+const CHROMA_COLLECTION = process.env.CHROMA_COLLECTION || 'news_articles';
+// Optional: Chroma Cloud authentication
+const CHROMA_API_KEY = process.env.CHROMA_API_KEY || process.env.CHROMA_CLOUD_API_KEY;
+const CHROMA_TENANT = process.env.CHROMA_TENANT;
+const CHROMA_DATABASE = process.env.CHROMA_DATABASE;
+const LOCAL_VECTOR_STORE_PATH = process.env.LOCAL_VECTOR_STORE_PATH ||
+  path.join(__dirname, '../../data/vector_store/vectors.json');
+
+// Every store implements the same async interface:
+//   init({ dimensions, create })  -> true when the store is usable
+//   add({ ids, embeddings, documents, metadatas })  (upserts by id)
+//   query(embedding, { limit, where }) -> [{ id, content, metadata, score }], best first
+//   delete({ ids, where })        -> number of records removed
+//   count()                       -> number of records
+//   list({ where, limit, offset }) -> [{ id, content, metadata }]
+// `where` uses Chroma's metadata filter syntax: { field: value }, { field: { $gte: n } },
+// $eq $ne $gt $gte $lt $lte $in $nin, combined with $and / $or.
+// `dimensions` is the embedding size the store was built with (null until known).
+
+function matchesCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object') return value === condition;
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case '$eq': return value === operand;
+      case '$ne': return value !== operand;
+      case '$gt': return value !== undefined && value > operand;
+      case '$gte': return value !== undefined && value >= operand;
+      case '$lt': return value !== undefined && value < operand;
+      case '$lte': return value !== undefined && value <= operand;
+      case '$in': return operand.includes(value);
+      case '$nin': return !operand.includes(value);
+      default: throw new Error(`Unsupported metadata filter operator '${op}'`);
+    }
+  });
+}
+
+// Evaluate a Chroma-style `where` filter against a metadata object
+function matchesWhere(metadata, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(c => matchesWhere(metadata, c));
+    if (key === '$or') return condition.some(c => matchesWhere(metadata, c));
+    return matchesCondition(metadata?.[key], condition);
+  });
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+function emptyToUndefined(where) {
+  return where && Object.keys(where).length ? where : undefined;
+}
+
+class ChromaVectorStore {
+  constructor({ url = CHROMA_URL, collectionName = CHROMA_COLLECTION, embedding = {} } = {}) {
+    if (!url) throw new Error('CHROMA_DB_URL is required for the chroma vector store');
+    this.name = 'chroma';
+    this.collectionName = collectionName;
+    this.embedding = embedding;
+    this.collection = null;
+    this.dimensions = null;
+
+    const parsed = new URL(url);
+    const headers = {};
+    if (CHROMA_API_KEY) headers['Authorization'] = `Bearer ${CHROMA_API_KEY}`;
+    this.client = new ChromaClient({
+      host: parsed.hostname,
+      port: Number(parsed.port) || (parsed.protocol === 'https:' ? 443 : 80),
+      ssl: parsed.protocol === 'https:',
+      ...(CHROMA_TENANT ? { tenant: CHROMA_TENANT } : {}),
+      ...(CHROMA_DATABASE ? { database: CHROMA_DATABASE } : {}),
+      headers
+    });
+  }
+
+  // Resolves the collection, creating it (cosine space, embedding info in its
+  // metadata) when `create` is set. Returns false if Chroma is unreachable.
+  async init({ dimensions = null, create = true } = {}) {
+    if (this.collection) return true;
+    try {
+      if (create) {
+        this.collection = await this.client.getOrCreateCollection({
+          name: this.collectionName,
+          metadata: {
+            description: 'News articles for RAG',
+            ...(this.embedding.provider ? { embedding_provider: this.embedding.provider } : {}),
+            ...(this.embedding.model ? { embedding_model: this.embedding.model } : {}),
+            ...(dimensions ? { embedding_dimensions: dimensions } : {})
+          },
+          configuration: { hnsw: { space: 'cosine' } },
+          embeddingFunction: null
+        });
+      } else {
+        this.collection = await this.client.getCollection({ name: this.collectionName });
+      }
+      this.dimensions = Number(this.collection.metadata?.embedding_dimensions) || dimensions || null;
+      return true;
+    } catch (e) {
+      if (create) console.error(`Failed to open Chroma collection '${this.collectionName}':`, e.message);
+      this.collection = null;
+      return false;
+    }
+  }
+
+  async add({ ids, embeddings, documents, metadatas }) {
+    await this.collection.upsert({ ids, embeddings, documents, metadatas });
+  }
+
+  async query(embedding, { limit = 10, where } = {}) {
+    const result = await this.collection.query({
+      queryEmbeddings: [embedding],
+      nResults: limit,
+      where: emptyToUndefined(where),
+      include: ['documents', 'metadatas', 'distances']
+    });
+    const ids = result.ids[0] || [];
+    return ids.map((id, i) => ({
+      id,
+      content: result.documents[0][i] || '',
+      metadata: result.metadatas[0][i] || {},
+      score: result.distances[0][i] != null ? 1 - result.distances[0][i] : 0
+    }));
+  }
+
+  async delete({ ids, where } = {}) {
+    const before = await this.count();
+    await this.collection.delete({ ids, where: emptyToUndefined(where) });
+    return before - await this.count();
+  }
+
+  async count() {
+    return this.collection.count();
+  }
+
+  async list({ where, limit, offset } = {}) {
+    const result = await this.collection.get({
+      where: emptyToUndefined(where),
+      limit,
+      offset,
+      include: ['documents', 'metadatas']
+    });
+    return result.ids.map((id, i) => ({
+      id,
+      content: result.documents[i] || '',
+      metadata: result.metadatas[i] || {}
+    }));
+  }
+}
+
+// Embedded store: brute-force cosine search over records kept in memory and
+// persisted as a single JSON file (written atomically after every change).
+class LocalVectorStore {
+  constructor({ filePath = LOCAL_VECTOR_STORE_PATH, embedding = {} } = {}) {
+    this.name = 'local';
+    this.filePath = filePath;
+    this.embedding = embedding;
+    this.records = new Map(); // id -> { id, embedding, content, metadata }
+    this.dimensions = null;
+    this.loaded = false;
+  }
+
+  async init({ dimensions = null } = {}) {
+    if (!this.loaded) await this.load();
+    if (!this.dimensions && dimensions) this.dimensions = dimensions;
+    return true;
+  }
+
+  async load() {
+    const data = await readJsonFile(this.filePath);
+    if (data) {
+      this.dimensions = data.dimensions || null;
+      for (const record of data.records || []) this.records.set(record.id, record);
+      console.log(`Loaded ${this.records.size} vectors from ${this.filePath}`);
+    }
+    this.loaded = true;
+  }
+
+  save() {
+    return writeJsonFile(this.filePath, {
+      version: 1,
+      dimensions: this.dimensions,
+      embedding: this.embedding,
+      records: [...this.records.values()]
+    });
+  }
+
+  async add({ ids, embeddings, documents = [], metadatas = [] }) {
+    await this.init({ dimensions: embeddings[0]?.length });
+    ids.forEach((id, i) => {
+      this.records.set(id, { id, embedding: embeddings[i], content: documents[i] || '', metadata: metadatas[i] || {} });
+    });
+    await this.save();
+  }
+
+  async query(embedding, { limit = 10, where } = {}) {
+    await this.init();
+    const scored = [];
+    for (const record of this.records.values()) {
+      if (!matchesWhere(record.metadata, where)) continue;
+      scored.push({ record, score: cosineSimilarity(embedding, record.embedding) });
+    }
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ record, score }) => ({ id: record.id, content: record.content, metadata: record.metadata, score }));
+  }
+
+  async delete({ ids, where } = {}) {
+    await this.init();
+    const idSet = ids ? new Set(ids) : null;
+    let removed = 0;
+    for (const record of [...this.records.values()]) {
+      if (idSet && !idSet.has(record.id)) continue;
+      if (!matchesWhere(record.metadata, where)) continue;
+      this.records.delete(record.id);
+      removed++;
+    }
+    if (removed) await this.save();
+    return removed;
+  }
+
+  async count() {
+    await this.init();
+    return this.records.size;
+  }
+
+  async list({ where, limit = Infinity, offset = 0 } = {}) {
+    await this.init();
+    return [...this.records.values()]
+      .filter(record => matchesWhere(record.metadata, where))
+      .slice(offset, offset + limit)
+      .map(({ id, content, metadata }) => ({ id, content, metadata }));
+  }
+}
+
+// `embedding` ({ provider, model }) is recorded with the stored vectors
+function createVectorStore({ name = VECTOR_STORE, embedding = {} } = {}) {
+  switch (name) {
+    case 'chroma':
+      return new ChromaVectorStore({ embedding });
+    case 'local':
+      return new LocalVectorStore({ embedding });
+    default:
+      throw new Error(`Unknown VECTOR_STORE '${name}' (expected chroma or local)`);
+  }
+}
+
+module.exports = {
+  createVectorStore,
+  ChromaVectorStore,
+  LocalVectorStore,
+  matchesWhere
+};
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LocalEmbeddingProvider } = require('../src/utils/embeddings');
+
+function cosine(a, b) {
+  return a.reduce((sum, v, i) => sum + v * b[i], 0);
+}
+
+test('local embedder returns normalised vectors of the configured size', async () => {
+  const embedder = new LocalEmbeddingProvider({ dimensions: 64 });
+  const [vector] = await embedder.embedTexts(['Central bank raises interest rates']);
+  assert.equal(vector.length, 64);
+  assert.ok(Math.abs(cosine(vector, vector) - 1) < 1e-9);
+  assert.equal(embedder.model, 'hashing-64');
+});
+
+test('local embedder is deterministic and ranks related texts closer', async () => {
+  const embedder = new LocalEmbeddingProvider();
+  const [query, related, unrelated, again] = await embedder.embedTexts([
+    'interest rates rise at the central bank',
+    'The central bank raised interest rates again on Thursday',
+    'The football club signed a new striker',
+    'interest rates rise at the central bank'
+  ], { taskType: 'query' });
+  assert.deepEqual(query, again);
+  assert.ok(cosine(query, related) > cosine(query, unrelated));
+});
+
+test('local embedder embeds an empty batch as no vectors', async () => {
+  assert.deepEqual(await new LocalEmbeddingProvider().embedTexts([]), []);
+});
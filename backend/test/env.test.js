@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { envNumber } = require('../src/utils/env');
+
+test('envNumber keeps an explicit 0 and falls back for unset, empty or non-numeric values', () => {
+  const read = (value, ...args) => {
+    process.env.ENV_TEST_VALUE = value;
+    if (value === undefined) delete process.env.ENV_TEST_VALUE;
+    return envNumber('ENV_TEST_VALUE', ...args);
+  };
+  assert.equal(read('0', 5), 0);
+  assert.equal(read('2.5', 5), 2.5);
+  assert.equal(read(undefined, 5), 5);
+  assert.equal(read(' ', 5), 5);
+  assert.equal(read('abc', 5), 5);
+  assert.equal(read('0', 5, { min: 1 }), 5);
+  assert.equal(read('3', 5, { min: 1 }), 3);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LexicalGroundingChecker, verifyAnswer } = require('../src/utils/grounding');
+
+const sources = [{
+  content: 'The ferry service to the island resumed on Monday after repairs to the pier.',
+  metadata: { title: 'Ferry service resumes', source: 'Example News', publishedAt: '2025-03-03T09:00:00Z' }
+}];
+const unsupported = 'Volcanic eruptions closed every airport across northern Europe yesterday.';
+
+test('supported answers pass unchanged with a high confidence', async () => {
+  const answer = 'The ferry service to the island resumed on Monday after pier repairs [1].';
+  const { answer: checked, grounding } = await verifyAnswer(new LexicalGroundingChecker(), answer, sources);
+  assert.equal(checked, answer);
+  assert.equal(grounding.action, 'none');
+  assert.ok(grounding.confidence >= 0.5);
+});
+
+test('low-confidence answers are annotated, not refused, by default', async () => {
+  const { answer, grounding } = await verifyAnswer(new LexicalGroundingChecker(), unsupported, sources);
+  assert.equal(grounding.action, 'annotated');
+  assert.ok(answer.startsWith(unsupported));
+  assert.ok(grounding.confidence < 0.3);
+});
+
+test('refusing low-confidence answers is opt-in', async () => {
+  const { answer, grounding } = await verifyAnswer(new LexicalGroundingChecker(), unsupported, sources, { refuseBelow: 0.3 });
+  assert.equal(grounding.action, 'refused');
+  assert.equal(answer, "I don't have enough information to answer that.");
+});
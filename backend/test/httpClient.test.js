@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRobots, isPathAllowed } = require('../src/utils/httpClient');
+
+const robots = [
+  'User-agent: bot',
+  'Disallow: /',
+  '',
+  'User-agent: newsragbot/2.0',
+  'Disallow: /private/',
+  'Crawl-delay: 5',
+  '',
+  'User-agent: *',
+  'Disallow: /search'
+].join('\n');
+
+test('robots.txt groups are matched on the exact product token, case-insensitively', () => {
+  const { rules, crawlDelayMs } = parseRobots(robots, 'NewsRAGBot');
+  assert.equal(crawlDelayMs, 5000);
+  assert.equal(isPathAllowed(rules, '/news/story'), true);
+  assert.equal(isPathAllowed(rules, '/private/page'), false);
+  assert.equal(isPathAllowed(rules, '/search'), true);
+});
+
+test('robots.txt falls back to the * group when no group names the crawler', () => {
+  const { rules, crawlDelayMs } = parseRobots(robots, 'OtherCrawler');
+  assert.equal(crawlDelayMs, null);
+  assert.equal(isPathAllowed(rules, '/news/story'), true);
+  assert.equal(isPathAllowed(rules, '/search?q=x'), false);
+});
+
+test('robots.txt rules of several groups naming the crawler are combined', () => {
+  const text = 'User-agent: NewsRAGBot\nDisallow: /a\n\nUser-agent: *\nDisallow: /c\n\nUser-agent: newsragbot\nDisallow: /b\n';
+  const { rules } = parseRobots(text, 'NewsRAGBot');
+  assert.equal(isPathAllowed(rules, '/a'), false);
+  assert.equal(isPathAllowed(rules, '/b'), false);
+  assert.equal(isPathAllowed(rules, '/c'), true);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExtractiveGenerator, GeneratorChain } = require('../src/utils/llm');
+
+const sources = [{
+  content: 'The council met on Monday. It approved a new cycle lane on the high street. Work starts in May.',
+  metadata: { title: 'Council approves cycle lane', source: 'Local News', publishedAt: '2025-03-03T09:00:00Z', url: 'https://example.com/cycle-lane' }
+}];
+
+test('extractive generator answers from the top source and cites it', async () => {
+  const answer = await new ExtractiveGenerator().generate({ question: 'When does work on the cycle lane start?', sources });
+  assert.match(answer, /^Based on the article "Council approves cycle lane" \(Local News, 2025-03-03\):/);
+  assert.match(answer, /Work starts in May\./);
+  assert.match(answer, /\[1\]/);
+  assert.match(answer, /\[Read more: https:\/\/example\.com\/cycle-lane\]/);
+});
+
+test('extractive generator returns an empty answer without sources', async () => {
+  assert.equal(await new ExtractiveGenerator().generate({ question: 'Anything?', sources: [] }), '');
+});
+
+test('generator chain falls back to the next provider when one fails', async () => {
+  const failing = { name: 'broken', generate: async () => { throw new Error('unavailable'); } };
+  const chain = new GeneratorChain([failing, new ExtractiveGenerator()], { retries: 0 });
+  const { text, provider } = await chain.generate({ question: 'cycle lane', sources });
+  assert.equal(provider, 'extractive');
+  assert.match(text, /cycle lane/);
+});
+
+test('generator chain streams the extractive answer', async () => {
+  const chain = new GeneratorChain([new ExtractiveGenerator()], { retries: 0 });
+  const pieces = [];
+  const { text, provider } = await chain.stream({ question: 'cycle lane', sources }, piece => pieces.push(piece));
+  assert.equal(provider, 'extractive');
+  assert.equal(pieces.join(''), text);
+});
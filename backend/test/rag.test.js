@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The whole pipeline offline: hashing embedder, file-backed vector store and
+// the extractive generator, with every file in a temporary directory
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-test-'));
+Object.assign(process.env, {
+  EMBEDDING_PROVIDER: 'local',
+  VECTOR_STORE: 'local',
+  LLM_PROVIDER: 'extractive',
+  LLM_FALLBACK_PROVIDERS: '',
+  LOCAL_VECTOR_STORE_PATH: path.join(dataDir, 'vectors.json'),
+  CORPUS_SNAPSHOT_PATH: path.join(dataDir, 'corpus.json'),
+  GROUNDING_CHECK: 'lexical',
+  GROUNDING_REFUSE_BELOW: '0.3'
+});
+const ragPipeline = require('../src/utils/rag');
+
+const articles = [
+  {
+    title: 'Council approves new cycle lane',
+    url: 'https://news.example.com/local/cycle-lane',
+    source: 'Example News',
+    publishedAt: '2025-03-03T09:00:00Z',
+    text: 'The city council approved a new cycle lane on the high street on Monday. ' +
+      'Construction of the cycle lane starts in May and should take six weeks. ' +
+      'Shop owners asked for loading bays to be kept.'
+  },
+  {
+    title: 'Harbour festival returns this summer',
+    url: 'https://news.example.com/culture/harbour-festival',
+    source: 'Example News',
+    publishedAt: '2025-03-01T12:00:00Z',
+    text: 'The harbour festival returns in July with boat races, music and food stalls. ' +
+      'Organisers expect more than ten thousand visitors over the weekend.'
+  }
+];
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('indexes articles and skips ones it has already seen', async () => {
+  const first = await ragPipeline.addDocuments(articles);
+  assert.equal(first.articles, 2);
+  assert.ok(first.chunks >= 2);
+
+  const again = await ragPipeline.addDocuments([articles[0]]);
+  assert.equal(again.articles, 0);
+  assert.deepEqual(again.duplicateUrls, [articles[0].url]);
+  assert.ok(fs.existsSync(process.env.CORPUS_SNAPSHOT_PATH));
+});
+
+test('answers a question from the matching article with a citation', async () => {
+  const result = await ragPipeline.query('When does construction of the cycle lane start?', { inferFilters: false });
+  assert.equal(result.sources[0].metadata.url, articles[0].url);
+  assert.match(result.answer, /starts in May/);
+  assert.equal(result.citations[0].marker, 1);
+  assert.equal(result.citations[0].url, articles[0].url);
+  assert.equal(result._debug.provider, 'extractive');
+  assert.equal(result._debug.usedVectorStore, true);
+});
+
+test('streams the answer and reports timings', async () => {
+  const pieces = [];
+  let streamedSources = null;
+  const result = await ragPipeline.queryStream('harbour festival boat races', {
+    inferFilters: false,
+    onSources: sources => { streamedSources = sources; },
+    onChunk: piece => pieces.push(piece)
+  });
+  assert.equal(streamedSources[0].metadata.url, articles[1].url);
+  assert.match(pieces.join(''), /boat races/);
+  assert.ok(result.timings.totalMs >= result.timings.retrievalMs);
+});
+
+test('says so when a date range inferred from the question matches nothing', async () => {
+  const question = 'What happened with the cycle lane yesterday?';
+  const result = await ragPipeline.query(question);
+  assert.equal(result.filterRelaxed, true);
+  assert.deepEqual(result.filters, {});
+  assert.match(result.answer, /^I couldn't find any articles from yesterday, .*\n\nBased on the article "Council approves new cycle lane"/);
+  const [citation] = result.citations;
+  assert.ok(result.answer.slice(citation.start, citation.end).includes(citation.text));
+
+  const pieces = [];
+  const streamed = await ragPipeline.queryStream(question, { onChunk: piece => pieces.push(piece) });
+  assert.equal(streamed.filterRelaxed, true);
+  assert.match(pieces[0], /^I couldn't find any articles from yesterday/);
+  assert.equal(pieces.join(''), streamed.answer);
+});
+
+test('never replaces an answer that was already streamed with a refusal', async () => {
+  const answer = 'Volcanic eruptions closed every airport across northern Europe yesterday.';
+  const sourceDocs = [{ content: articles[1].text, metadata: { title: articles[1].title } }];
+  const answered = await ragPipeline.checkGrounding(answer, sourceDocs, []);
+  assert.equal(answered.grounding.action, 'refused');
+  const streamed = await ragPipeline.checkGrounding(answer, sourceDocs, [], { streamed: true });
+  assert.equal(streamed.grounding.action, 'annotated');
+  assert.ok(streamed.answer.startsWith(answer));
+});
+
+test('does not treat articles as duplicates because their canonical URL is the homepage', async () => {
+  const story = (slug, canonicalUrl) => ({
+    title: `Story ${slug}`,
+    url: `https://www.site.example/news/${slug}`,
+    canonicalUrl,
+    publishedAt: '2025-03-02T08:00:00Z',
+    text: `Report ${slug}: the ferry service to the island resumes after repairs to the ${slug} pier.`
+  });
+  const result = await ragPipeline.addDocuments([
+    story('north', 'https://www.site.example/'),
+    story('south', 'https://www.site.example/'),
+    story('east', 'https://www.site.example/news'),
+    story('west', 'https://other.example/news/west')
+  ]);
+  assert.equal(result.articles, 4);
+  assert.equal(result.duplicates, 0);
+
+  // A canonical URL that names another article still marks a duplicate
+  const amp = { ...story('north', 'https://www.site.example/news/north'), url: 'https://www.site.example/amp/north' };
+  assert.deepEqual((await ragPipeline.addDocuments([amp])).duplicateUrls, [amp.url]);
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createReranker, LexicalReranker } = require('../src/utils/reranker');
+
+test('reranking is off by default unless the offline embedder is in use', () => {
+  assert.equal(createReranker({ embedder: { name: 'jina' } }), null);
+  assert.ok(createReranker({ embedder: { name: 'local' } }) instanceof LexicalReranker);
+  assert.ok(createReranker({ name: 'lexical', embedder: { name: 'gemini' } }) instanceof LexicalReranker);
+});
+
+test('lexical reranker scores passages by question term and phrase coverage', async () => {
+  const scores = await new LexicalReranker().rerank('ferry service resumes', [
+    { content: 'The ferry service resumes on Monday.', metadata: {} },
+    { content: 'A new ferry was launched.', metadata: {} },
+    { content: 'Council approves cycle lane.', metadata: {} }
+  ]);
+  assert.equal(scores[0], 1);
+  assert.ok(scores[1] > scores[2]);
+  assert.equal(scores[2], 0);
+});
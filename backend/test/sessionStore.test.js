@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MemorySessionStore } = require('../src/utils/sessionStore');
+
+test('memory store creates, reads and appends to sessions', async () => {
+  const store = new MemorySessionStore();
+  const created = await store.createSession({ ownerId: 'key-1' });
+  assert.equal(created.ownerId, 'key-1');
+  assert.deepEqual(created.messages, []);
+
+  const user = { role: 'user', content: 'What happened?' };
+  const assistant = { role: 'assistant', content: 'Something.' };
+  const updated = await store.appendMessages(created.id, user, assistant);
+  assert.deepEqual(updated.messages, [user, assistant]);
+  assert.deepEqual((await store.getSession(created.id)).messages, [user, assistant]);
+});
+
+test('memory store keeps only the latest maxHistory messages', async () => {
+  const store = new MemorySessionStore({ maxHistory: 2 });
+  const { id } = await store.createSession();
+  await store.appendMessages(id, { role: 'user', content: '1' }, { role: 'assistant', content: '2' });
+  const session = await store.appendMessages(id, { role: 'user', content: '3' });
+  assert.deepEqual(session.messages.map(m => m.content), ['2', '3']);
+});
+
+test('memory store clears, deletes and expires sessions', async () => {
+  const store = new MemorySessionStore();
+  const { id } = await store.createSession();
+  await store.appendMessages(id, { role: 'user', content: 'hi' });
+  assert.equal(await store.clearSession(id), true);
+  assert.deepEqual((await store.getSession(id)).messages, []);
+  assert.equal(await store.deleteSession(id), true);
+  assert.equal(await store.getSession(id), null);
+  assert.equal(await store.appendMessages(id, { role: 'user', content: 'hi' }), null);
+
+  const expiring = new MemorySessionStore({ ttlSeconds: 0 });
+  const session = await expiring.createSession();
+  assert.equal(await expiring.getSession(session.id), null);
+});
+
+test('memory store lets only the first caller adopt an unowned session', async () => {
+  const store = new MemorySessionStore();
+  const { id } = await store.createSession();
+  assert.equal((await store.adoptSession(id, 'key-1')).ownerId, 'key-1');
+  assert.equal((await store.adoptSession(id, 'key-2')).ownerId, 'key-1');
+  assert.equal(await store.adoptSession('missing', 'key-1'), null);
+});
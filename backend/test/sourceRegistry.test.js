@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeSource, SourceRegistry } = require('../src/utils/sourceRegistry');
+const { IngestionScheduler } = require('../src/utils/ingestionQueue');
+
+const feed = { name: 'Example', url: 'https://example.com/rss.xml' };
+
+test('normalizeSource fills in defaults', () => {
+  const { source } = normalizeSource(feed);
+  assert.equal(source.type, 'rss');
+  assert.equal(source.enabled, true);
+  assert.deepEqual(source.categories, []);
+});
+
+test('normalizeSource rejects a cron expression that never fires', () => {
+  assert.match(normalizeSource({ ...feed, fetchInterval: '0 0 31 2 *' }).error, /^fetchInterval: .*never matches/);
+  assert.equal(normalizeSource({ ...feed, fetchInterval: '*/30 * * * *' }).error, undefined);
+});
+
+test('the scheduler skips a source whose schedule never fires instead of throwing', () => {
+  const scheduler = new IngestionScheduler({ queue: {}, registry: {} });
+  scheduler.scheduleSource({ ...feed, fetchInterval: '0 0 31 2 *' });
+  assert.deepEqual(scheduler.getStatus(), []);
+});
+
+test('runtime source edits go to the overrides file, not the config', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sources-test-'));
+  try {
+    const configPath = path.join(dir, 'sources.json');
+    const config = JSON.stringify({ sources: [feed, { name: 'Other', url: 'https://other.example.com/rss' }] });
+    fs.writeFileSync(configPath, config);
+    const paths = { configPath, overridesPath: path.join(dir, 'overrides.json'), healthPath: path.join(dir, 'health.json') };
+
+    const registry = new SourceRegistry(paths);
+    await registry.add({ name: 'Added', url: 'https://added.example.com/rss' });
+    assert.equal(await registry.remove('Example'), true);
+    assert.equal(await registry.remove('Added'), true);
+    await registry.add({ name: 'Added', url: 'https://added.example.com/feed' });
+    assert.equal(fs.readFileSync(configPath, 'utf8'), config);
+
+    const reloaded = new SourceRegistry(paths);
+    await reloaded.load();
+    assert.deepEqual(reloaded.sources.map(s => [s.name, s.url]), [
+      ['Other', 'https://other.example.com/rss'],
+      ['Added', 'https://added.example.com/feed']
+    ]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(paths.overridesPath, 'utf8')).removed, ['Example']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});